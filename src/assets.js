@@ -0,0 +1,163 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
+import { disposeObject } from "./dispose";
+
+// Central asset registry. Every texture and model goes through one
+// THREE.LoadingManager, with per-asset timeouts, retries and fallbacks, and a
+// single progress figure for the loading screen.
+
+export const DEFAULT_ASSET_OPTIONS = {
+  critical: true,   // the scene stays hidden until every critical asset settles
+  timeout: 15000,   // ms per attempt
+  retries: 2,       // extra attempts after the first
+  fallback: () => null,
+};
+
+function disposeAsset(asset) {
+  if (!asset) return;
+  if (asset.isTexture) {
+    asset.dispose();
+  } else if (asset.scene) {
+    disposeObject(asset.scene, { textures: true });
+  }
+}
+
+export function createAssetRegistry({ onProgress = () => {} } = {}) {
+  const manager = new THREE.LoadingManager();
+  const loaders = {
+    texture: new THREE.TextureLoader(manager),
+    gltf: new GLTFLoader(manager),
+  };
+  const entries = new Map();
+
+  manager.onError = (url) => {
+    console.warn(`Failed to load ${url}`);
+  };
+
+  // Overall progress: settled assets count fully, in-flight ones by bytes
+  // where the server reports a length (progress.total is 0 when it doesn't)
+  function reportProgress(label) {
+    let done = 0;
+    entries.forEach((entry) => {
+      done += entry.settled ? 1 : entry.fraction;
+    });
+    onProgress(entries.size ? done / entries.size : 1, label);
+  }
+
+  // Three's loaders can't be aborted, so an attempt that times out goes on
+  // loading in the background; its late callbacks are ignored and a late
+  // asset is freed, leaving the retry to stand on its own
+  function attempt(entry) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const timer = setTimeout(() => {
+        settled = true;
+        reject(new Error(`Timed out after ${entry.timeout}ms`));
+      }, entry.timeout);
+
+      loaders[entry.type].load(
+        entry.url,
+        (asset) => {
+          if (settled) {
+            disposeAsset(asset);
+            return;
+          }
+          settled = true;
+          clearTimeout(timer);
+          resolve(asset);
+        },
+        (progress) => {
+          if (settled) return;
+          if (progress.lengthComputable && progress.total > 0) {
+            entry.fraction = progress.loaded / progress.total;
+            reportProgress(entry.url);
+          }
+        },
+        (error) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          reject(error || new Error(`Could not load ${entry.url}`));
+        }
+      );
+    });
+  }
+
+  async function load(entry) {
+    for (let attemptNumber = 0; attemptNumber <= entry.retries; attemptNumber++) {
+      try {
+        entry.fraction = 0;
+        const asset = await attempt(entry);
+        entry.settled = true;
+        reportProgress(entry.url);
+        return asset;
+      } catch (error) {
+        console.warn(`${entry.name}: attempt ${attemptNumber + 1} failed -`, error.message || error);
+      }
+    }
+
+    console.warn(`${entry.name}: giving up, using fallback`);
+    entry.settled = true;
+    entry.failed = true;
+    reportProgress(entry.url);
+    return entry.fallback();
+  }
+
+  const registry = {
+    manager,
+
+    // type is "texture" or "gltf"; see DEFAULT_ASSET_OPTIONS for the rest
+    add(name, { url, type, ...options }) {
+      if (!loaders[type]) {
+        throw new Error(`Unknown asset type "${type}" for ${name}`);
+      }
+      const entry = {
+        ...DEFAULT_ASSET_OPTIONS,
+        ...options,
+        name,
+        url,
+        type,
+        fraction: 0,
+        settled: false,
+        failed: false,
+      };
+      entry.promise = load(entry);
+      entries.set(name, entry);
+      reportProgress(url);
+      return entry.promise;
+    },
+
+    // Resolves with the asset, or with its fallback if every attempt failed
+    get(name) {
+      const entry = entries.get(name);
+      if (!entry) {
+        return Promise.reject(new Error(`Unknown asset "${name}"`));
+      }
+      return entry.promise;
+    },
+
+    failed(name) {
+      const entry = entries.get(name);
+      return Boolean(entry && entry.failed);
+    },
+
+    whenCriticalReady() {
+      const critical = [...entries.values()].filter((entry) => entry.critical);
+      return Promise.all(critical.map((entry) => entry.promise));
+    },
+
+    whenAllReady() {
+      return Promise.all([...entries.values()].map((entry) => entry.promise));
+    },
+
+    // Frees every texture and model, including ones still on their way
+    dispose() {
+      entries.forEach((entry) => {
+        entry.promise.then(disposeAsset);
+      });
+      entries.clear();
+    },
+  };
+
+  return registry;
+}
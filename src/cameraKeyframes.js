@@ -0,0 +1,40 @@
+// Camera choreography for the scroll-driven fly-through.
+//
+// Each keyframe is pinned to an element on the page: when that element
+// scrolls to the middle of the viewport the camera sits at `position` looking
+// at `lookAt`. Between keyframes the camera follows a spline through the
+// positions, with `ease` shaping the segment that leaves the keyframe.
+//
+// selector + index pick the element (index into querySelectorAll, default 0).
+
+export const CAMERA_KEYFRAMES = [
+  // Opening shot - the original framing above the forest
+  { selector: "header", position: [-3, 0, 30], lookAt: [-3, 0, 0], ease: "easeInOutSine" },
+
+  // Swing round to the moon
+  { selector: "blockquote", index: 0, position: [-16, 3, 42], lookAt: [-10, 0, 30], ease: "easeInOutCubic" },
+
+  // Drop down over the treetops
+  { selector: "section", index: 0, position: [12, -4, 22], lookAt: [0, -10, 0], ease: "easeInOutCubic" },
+
+  // Into the firefly swarm
+  { selector: "section", index: 1, position: [2, 5, 12], lookAt: [0, 5, -10], ease: "easeInOutSine" },
+
+  // Low between the trunks
+  { selector: "blockquote", index: 1, position: [-20, -8, -8], lookAt: [0, -9, -30], ease: "easeInOutCubic" },
+
+  // Look back across the swarm from the far side
+  { selector: "section", index: 2, position: [18, 8, -32], lookAt: [0, 3, 0], ease: "easeInOutSine" },
+
+  // Pull up and away for the closing shot of forest and moon
+  { selector: "blockquote", index: 2, position: [-6, 18, 48], lookAt: [-10, -2, 26], ease: "linear" },
+];
+
+// The original space scene's scroll: drifting back from inside the torus past
+// the moon, turning slowly to the left as it goes
+export const SPACE_CAMERA_KEYFRAMES = [
+  { selector: "header", position: [0, 0, 0], lookAt: [0, 0, -30], ease: "linear" },
+  { selector: "section", index: 0, position: [0.2, 0, 12], lookAt: [-6, 0, -17], ease: "linear" },
+  { selector: "section", index: 1, position: [0.4, 0, 24], lookAt: [-11, 0, -4], ease: "linear" },
+  { selector: "blockquote", index: 2, position: [0.8, 0, 40], lookAt: [-20, 0, 18], ease: "linear" },
+];
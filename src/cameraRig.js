@@ -0,0 +1,194 @@
+import * as THREE from "three";
+import { CAMERA_KEYFRAMES } from "./cameraKeyframes";
+
+// Scroll-driven camera rig: maps the page's scroll position onto a spline
+// through keyframes pinned to page elements (see cameraKeyframes.js), and
+// damps the camera towards it so it glides rather than snapping. Without
+// anchors (embedded scenes, where those elements don't exist) the keyframes
+// are spread evenly over the scroll fraction of scrollElement instead, and
+// setProgress can take over from scrolling altogether.
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+};
+
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+
+export function createCameraRig(camera, {
+  keyframes = CAMERA_KEYFRAMES,
+  damping = 3,           // higher follows the scroll more tightly
+  anchorOffset = 0.5,    // viewport fraction an element must reach to hit its keyframe
+  scrollElement = window,
+  anchors = true,        // false spreads the keyframes evenly over progress 0..1
+} = {}) {
+  let frames = [];
+  let positionCurve = null;
+  let targetCurve = null;
+  let progress = 0;
+  let manualProgress = null;
+  const lookTarget = new THREE.Vector3();
+
+  function scrollTop() {
+    return scrollElement === window ? window.scrollY : scrollElement.scrollTop;
+  }
+
+  function viewportHeight() {
+    return scrollElement === window ? window.innerHeight : scrollElement.clientHeight;
+  }
+
+  function scrollFraction() {
+    const element = scrollElement === window ? document.documentElement : scrollElement;
+    const range = element.scrollHeight - element.clientHeight;
+    return range > 0 ? THREE.MathUtils.clamp(scrollTop() / range, 0, 1) : 0;
+  }
+
+  // Scroll offset at which each keyframe's element reaches the anchor line
+  function resolveAnchors(list) {
+    const root = scrollElement === window ? document : scrollElement;
+    const resolved = [];
+
+    list.forEach((keyframe) => {
+      const element = root.querySelectorAll(keyframe.selector)[keyframe.index || 0];
+      if (!element) {
+        console.warn(`Camera keyframe skipped, no element for "${keyframe.selector}"`);
+        return;
+      }
+      const top = element.getBoundingClientRect().top + scrollTop();
+      const anchor = resolved.length === 0 ? 0 : top - viewportHeight() * anchorOffset;
+      // Anchors must increase even if the layout puts two elements side by side
+      const previous = resolved.length ? resolved[resolved.length - 1].anchor : -Infinity;
+      resolved.push({ ...keyframe, anchor: Math.max(anchor, previous + 1) });
+    });
+
+    return resolved;
+  }
+
+  function build(list) {
+    frames = anchors
+      ? resolveAnchors(list)
+      : list.map((keyframe, index) => ({ ...keyframe, anchor: list.length > 1 ? index / (list.length - 1) : 0 }));
+    if (frames.length < 2) {
+      positionCurve = null;
+      targetCurve = null;
+      return;
+    }
+    positionCurve = new THREE.CatmullRomCurve3(
+      frames.map((frame) => new THREE.Vector3(...frame.position)),
+      false,
+      "centripetal"
+    );
+    targetCurve = new THREE.CatmullRomCurve3(
+      frames.map((frame) => new THREE.Vector3(...frame.lookAt)),
+      false,
+      "centripetal"
+    );
+  }
+
+  // Where the camera should be for a scroll offset
+  function sample(scroll, outPosition, outTarget) {
+    if (!positionCurve) {
+      const only = frames[0];
+      outPosition.copy(only ? new THREE.Vector3(...only.position) : camera.position);
+      outTarget.copy(only ? new THREE.Vector3(...only.lookAt) : lookTarget);
+      return;
+    }
+
+    const last = frames.length - 1;
+    let segment = 0;
+    while (segment < last - 1 && scroll >= frames[segment + 1].anchor) {
+      segment++;
+    }
+    const from = frames[segment];
+    const to = frames[segment + 1];
+    const local = THREE.MathUtils.clamp((scroll - from.anchor) / (to.anchor - from.anchor), 0, 1);
+    const eased = (EASINGS[from.ease] || EASINGS.linear)(local);
+
+    // getPoint (not getPointAt) keeps each keyframe at an exact curve parameter
+    const u = (segment + eased) / last;
+    positionCurve.getPoint(u, outPosition);
+    targetCurve.getPoint(u, outTarget);
+
+    progress = THREE.MathUtils.clamp(scroll / frames[last].anchor, 0, 1);
+  }
+
+  // How far along the path the camera should be, in anchor units
+  function pathPosition() {
+    const end = frames.length ? frames[frames.length - 1].anchor : 0;
+    if (manualProgress !== null) {
+      return manualProgress * end;
+    }
+    return anchors ? scrollTop() : scrollFraction() * end;
+  }
+
+  function onResize() {
+    build(keyframes);
+  }
+
+  window.addEventListener("resize", onResize);
+  // Web fonts change the layout after first paint, moving the anchors
+  window.addEventListener("load", onResize);
+  build(keyframes);
+
+  const rig = {
+    // 0 at the top of the page, 1 at the last keyframe
+    get progress() {
+      return progress;
+    },
+
+    get lookTarget() {
+      return lookTarget;
+    },
+
+    setKeyframes(list) {
+      keyframes = list;
+      build(keyframes);
+    },
+
+    get damping() {
+      return damping;
+    },
+
+    setDamping(value) {
+      damping = value;
+    },
+
+    // Drives the camera from a 0..1 value instead of scrolling; null hands it
+    // back to the scroll position
+    setProgress(value) {
+      manualProgress = value === null ? null : THREE.MathUtils.clamp(value, 0, 1);
+    },
+
+    // Jump straight to the pose for the current scroll, without damping
+    snap() {
+      sample(pathPosition(), camera.position, lookTarget);
+      camera.lookAt(lookTarget);
+    },
+
+    // Takes the camera back from another controller, easing from its current
+    // pose and `target` (where it was looking) to the scroll pose
+    resume(target) {
+      lookTarget.copy(target);
+    },
+
+    update(delta) {
+      sample(pathPosition(), _position, _target);
+      // Frame-rate independent exponential smoothing
+      const alpha = 1 - Math.exp(-damping * delta);
+      camera.position.lerp(_position, alpha);
+      lookTarget.lerp(_target, alpha);
+      camera.lookAt(lookTarget);
+    },
+
+    dispose() {
+      window.removeEventListener("resize", onResize);
+      window.removeEventListener("load", onResize);
+    },
+  };
+
+  rig.snap();
+  return rig;
+}
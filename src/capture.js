@@ -0,0 +1,198 @@
+import { createWebmWriter } from "./webm";
+import { downloadBlob } from "./files";
+
+// Stills and clips straight from the scene's own renderer and post-processing,
+// so they look exactly like the page. A screenshot re-renders the current view
+// at any size and saves a PNG. A recording flies the camera along its path at
+// a fixed time step, one rendered frame per video frame however long each
+// takes to draw, and saves a WebM encoded with WebCodecs. There's no fallback
+// without WebCodecs: MediaRecorder stamps frames with the wall clock, so its
+// clips would jitter with the frame time.
+
+export const DEFAULT_CAPTURE_PARAMS = {
+  width: 3840,          // screenshot size in pixels
+  height: 2160,
+  clipWidth: 1920,      // recording size in pixels
+  clipHeight: 1080,
+  duration: 8,          // seconds of recording, start to end of the camera path
+  fps: 30,
+  bitrate: 12000000,    // bits per second
+};
+
+// WebCodecs codec strings, best first, with their Matroska codec IDs
+const VIDEO_CODECS = [
+  { codec: "vp09.00.41.08", codecId: "V_VP9" },
+  { codec: "vp8", codecId: "V_VP8" },
+];
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// add(index) takes the frame just rendered on the canvas, finish() resolves to
+// the WebM Blob. Resolves to null if no codec can take the size and bitrate.
+async function createCodecEncoder(canvas, { width, height, fps, bitrate }) {
+  let chosen = null;
+  for (const candidate of VIDEO_CODECS) {
+    const config = { codec: candidate.codec, width, height, bitrate, framerate: fps };
+    const { supported } = await window.VideoEncoder.isConfigSupported(config);
+    if (supported) {
+      chosen = { ...candidate, config };
+      break;
+    }
+  }
+  if (!chosen) return null;
+
+  const writer = createWebmWriter({ codecId: chosen.codecId, width, height });
+  let failure = null;
+  const encoder = new window.VideoEncoder({
+    output: (chunk) => writer.addChunk(chunk),
+    error: (error) => {
+      failure = error;
+    },
+  });
+  encoder.configure(chosen.config);
+
+  const frameDuration = 1000000 / fps; // microseconds
+  return {
+    async add(index) {
+      if (failure) throw failure;
+      const frame = new window.VideoFrame(canvas, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration),
+      });
+      // A key frame every two seconds keeps the clip seekable
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+      frame.close();
+      // Don't render faster than frames are encoded
+      while (encoder.encodeQueueSize > 4) {
+        await nextTask();
+      }
+    },
+
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (failure) throw failure;
+      return writer.finish();
+    },
+  };
+}
+
+// Video encoders want even dimensions
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// renderer, camera, viewport and postProcessing: the scene's own. loop:
+// { stop(), start() } for the real-time render loop, held during a capture.
+// path: { begin(), step(delta, t), end() } puts the camera at the start of its
+// path, advances the scene by delta with the camera at t (0..1) along it, and
+// hands the camera back afterwards. name prefixes the downloaded files, and
+// log(message) hears about each capture.
+export function createCapture({ renderer, camera, viewport, postProcessing, loop, path, name = "capture", params = {}, log = () => {} }) {
+  const settings = { ...DEFAULT_CAPTURE_PARAMS, ...params };
+  const canvas = renderer.domElement;
+  let busy = false;
+
+  // Scaled down to fit the GPU's limit, keeping the aspect ratio
+  function fitSize(width, height) {
+    const scale = Math.min(1, renderer.capabilities.maxTextureSize / Math.max(width, height));
+    return [Math.floor(width * scale), Math.floor(height * scale)];
+  }
+
+  // The canvas's drawing buffer changes size but its box on the page doesn't
+  function setRenderSize(width, height) {
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    postProcessing.setPixelRatio(1);
+    postProcessing.setSize(width, height);
+  }
+
+  // Holds the loop and renders at the given size for the length of `task`
+  async function capturing(width, height, task) {
+    if (busy) {
+      throw new Error("A capture is already running");
+    }
+    busy = true;
+    loop.stop();
+    try {
+      setRenderSize(width, height);
+      return await task();
+    } finally {
+      viewport.resize();
+      loop.start();
+      busy = false;
+    }
+  }
+
+  return {
+    params: settings,
+
+    get busy() {
+      return busy;
+    },
+
+    setParams(values) {
+      Object.assign(settings, values);
+    },
+
+    // Resolves to the PNG Blob once it's been downloaded
+    screenshot({ width = settings.width, height = settings.height, download = true } = {}) {
+      const [fitWidth, fitHeight] = fitSize(width, height);
+      return capturing(fitWidth, fitHeight, () => {
+        postProcessing.render();
+        // toBlob copies the canvas straight away, before the buffer is cleared
+        return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+      }).then((blob) => {
+        if (download) {
+          downloadBlob(`${name}-${fitWidth}x${fitHeight}.png`, blob);
+        }
+        log(`Screenshot: ${fitWidth}x${fitHeight}`);
+        return blob;
+      });
+    },
+
+    // Resolves to the WebM Blob once it's been downloaded; rejects up front
+    // where WebCodecs is missing
+    record({
+      width = settings.clipWidth,
+      height = settings.clipHeight,
+      duration = settings.duration,
+      fps = settings.fps,
+      bitrate = settings.bitrate,
+      download = true,
+    } = {}) {
+      const [fitWidth, fitHeight] = fitSize(width, height).map(even);
+      const frames = Math.max(2, Math.round(duration * fps));
+      if (!window.VideoEncoder) {
+        return Promise.reject(new Error("WebCodecs required for deterministic capture"));
+      }
+      log(`Recording ${frames} frames at ${fitWidth}x${fitHeight}, ${fps} fps...`);
+
+      return capturing(fitWidth, fitHeight, async () => {
+        const options = { width: fitWidth, height: fitHeight, fps, bitrate };
+        const encoder = await createCodecEncoder(canvas, options);
+        if (!encoder) {
+          throw new Error(`No WebCodecs VP9 or VP8 encoder for ${fitWidth}x${fitHeight} here`);
+        }
+
+        path.begin();
+        try {
+          for (let index = 0; index < frames; index++) {
+            path.step(1 / fps, index / (frames - 1));
+            postProcessing.render();
+            await encoder.add(index);
+          }
+        } finally {
+          path.end();
+        }
+        return encoder.finish();
+      }).then((blob) => {
+        if (download) {
+          downloadBlob(`${name}-${fitWidth}x${fitHeight}-${fps}fps.webm`, blob);
+        }
+        log(`Recording done: ${(blob.size / 1e6).toFixed(1)} MB`);
+        return blob;
+      });
+    },
+  };
+}
@@ -0,0 +1,126 @@
+// Streams a grid of square chunks around a moving focus (the camera). Chunks
+// within reach are built nearest first, a few per frame, and chunks that fall
+// more than `keep` rings out of reach are disposed, so memory stays bounded
+// however far the focus travels. Each chunk gets a level of detail from its
+// ring: ring distance is counted in whole chunks (Chebyshev distance), and
+// `levels` lists the last ring of each level, nearest first.
+
+export const DEFAULT_CHUNK_PARAMS = {
+  size: 40,            // world units along a chunk's side
+  levels: [1, 2, 3],   // last ring of each level of detail; the last one is the reach
+  keep: 1,             // rings kept past the reach, so chunks don't churn on a border
+  buildsPerFrame: 1,   // chunk builds or level changes per update
+};
+
+// builder: { create(cx, cz, area, level) -> data, setLevel(data, level), dispose(data) }
+// where area is { centerX, centerZ, size } in world units
+export function createChunkStreamer({ builder, params = {} }) {
+  const settings = { ...DEFAULT_CHUNK_PARAMS, ...params };
+  const chunks = new Map(); // "cx,cz" -> { cx, cz, level, data }
+  let offsets = [];
+
+  // Ring offsets within reach, nearest first
+  function buildOffsets() {
+    const reach = settings.levels[settings.levels.length - 1];
+    offsets = [];
+    for (let dx = -reach; dx <= reach; dx++) {
+      for (let dz = -reach; dz <= reach; dz++) {
+        offsets.push({ dx, dz, ring: Math.max(Math.abs(dx), Math.abs(dz)), order: dx * dx + dz * dz });
+      }
+    }
+    offsets.sort((a, b) => a.order - b.order);
+  }
+
+  function levelOf(ring) {
+    const level = settings.levels.findIndex((last) => ring <= last);
+    return level === -1 ? settings.levels.length - 1 : level;
+  }
+
+  function area(cx, cz) {
+    return { centerX: (cx + 0.5) * settings.size, centerZ: (cz + 0.5) * settings.size, size: settings.size };
+  }
+
+  function clear() {
+    chunks.forEach((chunk) => builder.dispose(chunk.data));
+    chunks.clear();
+  }
+
+  buildOffsets();
+
+  return {
+    params: settings,
+
+    get chunks() {
+      return chunks;
+    },
+
+    // A new size throws away everything built so far
+    setParams(values) {
+      const resized = values.size !== undefined && values.size !== settings.size;
+      Object.assign(settings, values);
+      buildOffsets();
+      if (resized) {
+        clear();
+      }
+    },
+
+    // Focus in world x/z; budget caps the builds this call (Infinity fills the
+    // whole reach at once)
+    update(x, z, budget = settings.buildsPerFrame) {
+      const focusX = Math.floor(x / settings.size);
+      const focusZ = Math.floor(z / settings.size);
+      const reach = settings.levels[settings.levels.length - 1];
+      let builds = 0;
+
+      chunks.forEach((chunk, key) => {
+        const ring = Math.max(Math.abs(chunk.cx - focusX), Math.abs(chunk.cz - focusZ));
+        if (ring > reach + settings.keep) {
+          builder.dispose(chunk.data);
+          chunks.delete(key);
+        } else if (ring > reach && chunk.level !== levelOf(ring) && builds < budget) {
+          // Kept for now, at the lowest detail
+          chunk.level = levelOf(ring);
+          builder.setLevel(chunk.data, chunk.level);
+          builds++;
+        }
+      });
+
+      for (let i = 0; i < offsets.length && builds < budget; i++) {
+        const { dx, dz, ring } = offsets[i];
+        const cx = focusX + dx;
+        const cz = focusZ + dz;
+        const key = `${cx},${cz}`;
+        const level = levelOf(ring);
+        const chunk = chunks.get(key);
+        if (!chunk) {
+          chunks.set(key, { cx, cz, level, data: builder.create(cx, cz, area(cx, cz), level) });
+          builds++;
+        } else if (chunk.level !== level) {
+          chunk.level = level;
+          builder.setLevel(chunk.data, level);
+          builds++;
+        }
+      }
+    },
+
+    // The x/z extent of the chunks built so far, or null before the first
+    loadedArea() {
+      if (chunks.size === 0) return null;
+      let minX = Infinity;
+      let maxX = -Infinity;
+      let minZ = Infinity;
+      let maxZ = -Infinity;
+      chunks.forEach(({ cx, cz }) => {
+        minX = Math.min(minX, cx);
+        maxX = Math.max(maxX, cx + 1);
+        minZ = Math.min(minZ, cz);
+        maxZ = Math.max(maxZ, cz + 1);
+      });
+      const { size } = settings;
+      return { minX: minX * size, maxX: maxX * size, minZ: minZ * size, maxZ: maxZ * size };
+    },
+
+    clear,
+    dispose: clear,
+  };
+}
@@ -0,0 +1,151 @@
+// A small catalogue of bright stars in well-known constellations, so the sky
+// can show real patterns among the random ones. Each star is
+// [right ascension in hours, declination in degrees, visual magnitude].
+
+export const CONSTELLATIONS = [
+  {
+    name: "Orion",
+    stars: [
+      [5.919, 7.407, 0.5],    // Betelgeuse
+      [5.242, -8.202, 0.13],  // Rigel
+      [5.419, 6.35, 1.64],    // Bellatrix
+      [5.533, -0.299, 2.23],  // Mintaka
+      [5.604, -1.202, 1.69],  // Alnilam
+      [5.679, -1.943, 1.77],  // Alnitak
+      [5.796, -9.67, 2.09],   // Saiph
+      [5.585, 9.934, 3.39],   // Meissa
+    ],
+  },
+  {
+    name: "Ursa Major",
+    stars: [
+      [11.062, 61.751, 1.79], // Dubhe
+      [11.031, 56.382, 2.37], // Merak
+      [11.897, 53.695, 2.44], // Phecda
+      [12.257, 57.033, 3.31], // Megrez
+      [12.9, 55.96, 1.77],    // Alioth
+      [13.399, 54.925, 2.23], // Mizar
+      [13.792, 49.313, 1.86], // Alkaid
+    ],
+  },
+  {
+    name: "Ursa Minor",
+    stars: [
+      [2.53, 89.264, 1.98],   // Polaris
+      [14.845, 74.156, 2.08], // Kochab
+      [15.345, 71.834, 3.05], // Pherkad
+    ],
+  },
+  {
+    name: "Cassiopeia",
+    stars: [
+      [0.153, 59.15, 2.28],   // Caph
+      [0.675, 56.537, 2.24],  // Schedar
+      [0.945, 60.717, 2.15],  // Gamma Cassiopeiae
+      [1.43, 60.235, 2.66],   // Ruchbah
+      [1.907, 63.67, 3.35],   // Segin
+    ],
+  },
+  {
+    name: "Cygnus",
+    stars: [
+      [20.69, 45.28, 1.25],   // Deneb
+      [20.37, 40.257, 2.23],  // Sadr
+      [20.77, 33.97, 2.48],   // Gienah
+      [19.75, 45.131, 2.87],  // Delta Cygni
+      [19.512, 27.96, 3.05],  // Albireo
+    ],
+  },
+  {
+    name: "Lyra",
+    stars: [
+      [18.616, 38.784, 0.03], // Vega
+      [18.835, 33.363, 3.52], // Sheliak
+      [18.982, 32.69, 3.25],  // Sulafat
+      [18.746, 37.605, 4.36], // Zeta Lyrae
+      [18.908, 36.899, 4.22], // Delta Lyrae
+    ],
+  },
+  {
+    name: "Aquila",
+    stars: [
+      [19.846, 8.868, 0.77],  // Altair
+      [19.771, 10.613, 2.72], // Tarazed
+      [19.922, 6.407, 3.71],  // Alshain
+    ],
+  },
+  {
+    name: "Leo",
+    stars: [
+      [10.14, 11.967, 1.35],  // Regulus
+      [11.818, 14.572, 2.14], // Denebola
+      [10.333, 19.842, 2.08], // Algieba
+      [11.235, 20.524, 2.56], // Zosma
+      [11.237, 15.43, 3.33],  // Chertan
+      [9.764, 23.774, 2.98],  // Epsilon Leonis
+      [10.278, 23.417, 3.44], // Adhafera
+      [10.122, 16.763, 3.49], // Eta Leonis
+    ],
+  },
+  {
+    name: "Scorpius",
+    stars: [
+      [16.49, -26.432, 1.06], // Antares
+      [17.56, -37.104, 1.62], // Shaula
+      [17.622, -42.998, 1.86], // Sargas
+      [16.006, -22.622, 2.29], // Dschubba
+      [16.091, -19.806, 2.62], // Acrab
+      [16.836, -34.293, 2.29], // Epsilon Scorpii
+      [16.598, -28.216, 2.82], // Tau Scorpii
+      [17.513, -37.296, 2.7], // Lesath
+    ],
+  },
+  {
+    name: "Taurus",
+    stars: [
+      [4.599, 16.509, 0.86],  // Aldebaran
+      [5.438, 28.608, 1.65],  // Elnath
+      [3.791, 24.105, 2.87],  // Alcyone
+    ],
+  },
+  {
+    name: "Gemini",
+    stars: [
+      [7.755, 28.026, 1.14],  // Pollux
+      [7.577, 31.888, 1.58],  // Castor
+    ],
+  },
+  {
+    name: "Canis Major",
+    stars: [
+      [6.752, -16.716, -1.46], // Sirius
+      [6.977, -28.972, 1.5],  // Adhara
+      [7.14, -26.393, 1.83],  // Wezen
+      [6.378, -17.956, 1.98], // Mirzam
+    ],
+  },
+  {
+    name: "Canis Minor",
+    stars: [
+      [7.655, 5.225, 0.34],   // Procyon
+    ],
+  },
+  {
+    name: "Auriga",
+    stars: [
+      [5.278, 45.998, 0.08],  // Capella
+    ],
+  },
+  {
+    name: "Bootes",
+    stars: [
+      [14.261, 19.182, -0.05], // Arcturus
+    ],
+  },
+  {
+    name: "Virgo",
+    stars: [
+      [13.42, -11.161, 0.97], // Spica
+    ],
+  },
+];
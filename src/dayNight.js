@@ -0,0 +1,218 @@
+import * as THREE from "three";
+
+// Time-of-day system: a clock (real local time, accelerated or scrubbed) and
+// a lighting rig that follows it through dawn, day, dusk and night.
+
+const HOURS = 24;
+
+// mode "realtime" follows the visitor's local clock; "accelerated" starts at
+// `hour` and runs `speed` times faster than real time (speed 0 pauses it for
+// scrubbing with setHour)
+export function createSkyClock({ mode = "realtime", hour = 21, speed = 60 } = {}) {
+  let currentMode = mode;
+  let current = hour;
+
+  function localHour() {
+    const now = new Date();
+    return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+  }
+
+  if (currentMode === "realtime") {
+    current = localHour();
+  }
+
+  return {
+    get mode() {
+      return currentMode;
+    },
+
+    get hour() {
+      return current;
+    },
+
+    get speed() {
+      return speed;
+    },
+
+    // Switches to a manual clock at the given hour; keeps any speed set
+    setHour(value) {
+      currentMode = "accelerated";
+      current = ((value % HOURS) + HOURS) % HOURS;
+    },
+
+    setSpeed(value) {
+      currentMode = "accelerated";
+      speed = value;
+    },
+
+    useRealtime() {
+      currentMode = "realtime";
+      current = localHour();
+    },
+
+    update(delta) {
+      if (currentMode === "realtime") {
+        current = localHour();
+      } else {
+        current = (current + (delta * speed) / 3600) % HOURS;
+      }
+      return current;
+    },
+  };
+}
+
+// ?time=realtime (default), ?time=21.5 or ?time=21:30 to start there, and
+// ?timeSpeed=600 to run faster
+export function skyClockFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const time = params.get("time");
+  const speed = params.has("timeSpeed") ? Number(params.get("timeSpeed")) : 60;
+
+  if (!time || time === "realtime") {
+    return createSkyClock({ mode: "realtime" });
+  }
+  const [hours, minutes = "0"] = time.split(":");
+  const hour = Number(hours) + Number(minutes) / 60;
+  return createSkyClock({ mode: "accelerated", hour: Number.isFinite(hour) ? hour : 21, speed });
+}
+
+// Multipliers on the keyframed fog density and light intensities below, for
+// tuning the look without retiming the whole day
+export const DEFAULT_SKY_PARAMS = {
+  fogDensity: 1,
+  sunIntensity: 1,
+  ambientIntensity: 1,
+  fill: 1,
+  forestAmbient: 1,
+  ground: 1,
+  moonlight: 1,
+};
+
+// Lighting keyframes by hour, interpolated cyclically. The night key matches
+// the scene's original static lighting.
+export const SKY_KEYFRAMES = [
+  { hour: 0, sky: 0x05070d, fog: 0x1a2a3a, fogDensity: 0.012, sun: 0xffeedd, sunIntensity: 0, ambient: 0x505050, ambientIntensity: 0.8, fill: 0.3, forestAmbient: 0.4, ground: 0.3, moonlight: 1.2 },
+  { hour: 5, sky: 0x1b2340, fog: 0x2a3350, fogDensity: 0.012, sun: 0xff8a50, sunIntensity: 0, ambient: 0x505060, ambientIntensity: 0.8, fill: 0.3, forestAmbient: 0.4, ground: 0.3, moonlight: 0.8 },
+  { hour: 6.5, sky: 0xf0a070, fog: 0xd09080, fogDensity: 0.01, sun: 0xffa060, sunIntensity: 0.9, ambient: 0x806a60, ambientIntensity: 0.9, fill: 0.4, forestAmbient: 0.4, ground: 0.3, moonlight: 0.2 },
+  { hour: 9, sky: 0x87b5e0, fog: 0xa8c8d8, fogDensity: 0.007, sun: 0xfff4e0, sunIntensity: 1.6, ambient: 0x909090, ambientIntensity: 1.0, fill: 0.5, forestAmbient: 0.5, ground: 0.4, moonlight: 0 },
+  { hour: 16.5, sky: 0x87b5e0, fog: 0xa8c8d8, fogDensity: 0.007, sun: 0xfff4e0, sunIntensity: 1.6, ambient: 0x909090, ambientIntensity: 1.0, fill: 0.5, forestAmbient: 0.5, ground: 0.4, moonlight: 0 },
+  { hour: 18.5, sky: 0xe07850, fog: 0x905a60, fogDensity: 0.01, sun: 0xff7040, sunIntensity: 0.8, ambient: 0x705050, ambientIntensity: 0.85, fill: 0.35, forestAmbient: 0.4, ground: 0.3, moonlight: 0.3 },
+  { hour: 20, sky: 0x141a35, fog: 0x1e2840, fogDensity: 0.012, sun: 0xff6030, sunIntensity: 0, ambient: 0x505058, ambientIntensity: 0.8, fill: 0.3, forestAmbient: 0.4, ground: 0.3, moonlight: 1.0 },
+];
+
+const _colorA = new THREE.Color();
+const _colorB = new THREE.Color();
+
+function lerpColor(out, a, b, t) {
+  return out.copy(_colorA.set(a)).lerp(_colorB.set(b), t);
+}
+
+// Surrounding keyframes and the blend between them for an hour of the day
+function keyframesAt(hour) {
+  const count = SKY_KEYFRAMES.length;
+  for (let i = 0; i < count; i++) {
+    const from = SKY_KEYFRAMES[i];
+    const to = SKY_KEYFRAMES[(i + 1) % count];
+    const end = to.hour > from.hour ? to.hour : to.hour + HOURS;
+    const h = hour < from.hour ? hour + HOURS : hour;
+    if (h >= from.hour && h < end) {
+      return { from, to, t: THREE.MathUtils.smoothstep(h, from.hour, end) };
+    }
+  }
+  return { from: SKY_KEYFRAMES[0], to: SKY_KEYFRAMES[0], t: 0 };
+}
+
+// Sun angle: rises in the east at 6:00, peaks at noon, sets at 18:00
+export function sunElevation(hour) {
+  return Math.sin(((hour - 6) / 12) * Math.PI);
+}
+
+// lights: { sun, fill, ambient, forestAmbient, ground, moonlight } - the rig
+// from main.js. moon: the moon mesh, raised and lowered opposite the sun.
+// sky: optional sky (see sky.js), shaded to match and starry in the dark.
+export function createDayNightCycle({ scene, clock, lights, moon, sky, params = {} }) {
+  const settings = { ...DEFAULT_SKY_PARAMS, ...params };
+  const moonRestY = moon ? moon.position.y : 0;
+  const state = { hour: clock.hour, sunElevation: 0, night: 1, fireflies: 1 };
+  const skyColor = new THREE.Color();
+
+  if (!(scene.fog && scene.fog.isFogExp2)) {
+    scene.fog = new THREE.FogExp2(0x1a2a3a, 0.012);
+  }
+
+  function apply(hour) {
+    const { from, to, t } = keyframesAt(hour);
+    // Every mixed value is a fog density or light intensity, scaled by its param
+    const mix = (key) => THREE.MathUtils.lerp(from[key], to[key], t) * settings[key];
+
+    // Sun arcs overhead from east to west
+    const angle = ((hour - 6) / 12) * Math.PI;
+    const elevation = sunElevation(hour);
+    lights.sun.position.set(Math.cos(angle) * 30, elevation * 30, 10);
+    lerpColor(lights.sun.color, from.sun, to.sun, t);
+    lights.sun.intensity = mix("sunIntensity");
+
+    lerpColor(lights.ambient.color, from.ambient, to.ambient, t);
+    lights.ambient.intensity = mix("ambientIntensity");
+    lights.fill.intensity = mix("fill");
+    lights.forestAmbient.intensity = mix("forestAmbient");
+    lights.ground.intensity = mix("ground");
+    lights.moonlight.intensity = mix("moonlight");
+
+    lerpColor(scene.fog.color, from.fog, to.fog, t);
+    scene.fog.density = mix("fogDensity");
+    lerpColor(skyColor, from.sky, to.sky, t);
+    if (scene.background && scene.background.isColor) {
+      scene.background.copy(skyColor);
+    } else {
+      scene.background = skyColor.clone();
+    }
+
+    // 0 in full daylight, 1 once the sun is well below the horizon
+    const night = THREE.MathUtils.smoothstep(-elevation, -0.1, 0.25);
+    if (sky) {
+      sky.setColors(skyColor, scene.fog.color);
+      sky.setNight(night);
+    }
+
+    // The moon rises as the sun goes down, back to its resting height at night
+    if (moon) {
+      const risen = THREE.MathUtils.smoothstep(-elevation, -0.2, 0.5);
+      moon.position.y = moonRestY - 24 * (1 - risen);
+      moon.visible = risen > 0;
+    }
+
+    state.hour = hour;
+    state.sunElevation = elevation;
+    state.night = night;
+    // Fireflies wait until after dusk, not just sunset
+    state.fireflies = THREE.MathUtils.smoothstep(-elevation, 0.1, 0.35);
+  }
+
+  apply(clock.hour);
+
+  return {
+    clock,
+    state,
+    params: settings,
+
+    // Takes effect immediately, even with the clock paused
+    setParams(values) {
+      Object.assign(settings, values);
+      apply(clock.hour);
+    },
+
+    update(delta) {
+      apply(clock.update(delta));
+      return state;
+    },
+
+    // Puts the moon back where it was found
+    dispose() {
+      if (moon) {
+        moon.position.y = moonRestY;
+        moon.visible = true;
+      }
+    },
+  };
+}
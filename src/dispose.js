@@ -0,0 +1,28 @@
+// Frees the GPU side of everything under `root`: geometries, materials and
+// instance buffers. Textures are left alone unless asked for, since most come
+// from the asset registry and are shared between themes.
+export function disposeObject(root, { textures = false } = {}) {
+  root.traverse((child) => {
+    if (child.geometry) {
+      child.geometry.dispose();
+    }
+    // Shadow passes may draw with materials of their own
+    const materials = [
+      ...(Array.isArray(child.material) ? child.material : [child.material]),
+      child.customDepthMaterial,
+      child.customDistanceMaterial,
+    ];
+    materials.forEach((material) => {
+      if (!material) return;
+      if (textures) {
+        Object.values(material).forEach((value) => {
+          if (value && value.isTexture) value.dispose();
+        });
+      }
+      material.dispose();
+    });
+    if (child.isInstancedMesh) {
+      child.dispose();
+    }
+  });
+}
@@ -0,0 +1,173 @@
+import * as THREE from "three";
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
+
+// Free-explore navigation: drag to orbit, wheel or pinch to zoom, WASD or the
+// arrow keys to walk and Q/E to rise and sink. The camera and its target are
+// kept above the terrain and inside the area the scene has built, so walking
+// can't outrun the streamed forest. Whoever drives the camera otherwise (the
+// scroll rig) should pause while this is enabled.
+
+export const DEFAULT_EXPLORE_PARAMS = {
+  moveSpeed: 12,     // units per second
+  damping: 0.08,     // OrbitControls dampingFactor
+  clearance: 1.5,    // minimum height above the terrain
+  maxHeight: 40,
+  margin: 10,        // distance kept inside the edge of the scene's area
+  bounds: 50,        // half-width of the square around the origin, for scenes without an area
+  minDistance: 2,
+  maxDistance: 40,
+};
+
+// [forward, right, up] per key
+const MOVES = {
+  KeyW: [1, 0, 0],
+  ArrowUp: [1, 0, 0],
+  KeyS: [-1, 0, 0],
+  ArrowDown: [-1, 0, 0],
+  KeyD: [0, 1, 0],
+  ArrowRight: [0, 1, 0],
+  KeyA: [0, -1, 0],
+  ArrowLeft: [0, -1, 0],
+  KeyE: [0, 0, 1],
+  KeyQ: [0, 0, -1],
+};
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _move = new THREE.Vector3();
+
+// groundAt(x, z) gives the terrain height; without it the ground is y = 0.
+// area() gives the { minX, maxX, minZ, maxZ } the camera may roam, or null to
+// fall back to the bounds square.
+export function createExploreControls(camera, domElement, { groundAt = () => 0, area = () => null, params = {} } = {}) {
+  const settings = { ...DEFAULT_EXPLORE_PARAMS, ...params };
+  const controls = new OrbitControls(camera, domElement);
+  const pressed = new Set();
+  let active = false;
+
+  controls.enabled = false;
+  controls.enableDamping = true;
+
+  function applyParams() {
+    controls.dampingFactor = settings.damping;
+    controls.minDistance = settings.minDistance;
+    controls.maxDistance = settings.maxDistance;
+  }
+
+  applyParams();
+
+  function onKeyDown(event) {
+    if (!active || !MOVES[event.code]) return;
+    // Leave typing in form fields alone
+    if (event.target.closest && event.target.closest("input, textarea, select")) return;
+    pressed.add(event.code);
+    event.preventDefault();
+  }
+
+  function onKeyUp(event) {
+    pressed.delete(event.code);
+  }
+
+  // Keys released while the window was in the background never fire keyup
+  function onBlur() {
+    pressed.clear();
+  }
+
+  window.addEventListener("keydown", onKeyDown);
+  window.addEventListener("keyup", onKeyUp);
+  window.addEventListener("blur", onBlur);
+
+  function clampToForest(point, clearance) {
+    const limit = settings.bounds;
+    const { minX, maxX, minZ, maxZ } = area() || { minX: -limit, maxX: limit, minZ: -limit, maxZ: limit };
+    // An area narrower than both margins pins the point to its middle
+    const margin = Math.min(settings.margin, (maxX - minX) / 2, (maxZ - minZ) / 2);
+    point.x = THREE.MathUtils.clamp(point.x, minX + margin, maxX - margin);
+    point.z = THREE.MathUtils.clamp(point.z, minZ + margin, maxZ - margin);
+    point.y = THREE.MathUtils.clamp(point.y, groundAt(point.x, point.z) + clearance, settings.maxHeight);
+  }
+
+  // Walks relative to where the camera faces, level with the ground
+  function walk(delta) {
+    if (pressed.size === 0) return;
+
+    let forward = 0;
+    let right = 0;
+    let up = 0;
+    pressed.forEach((code) => {
+      forward += MOVES[code][0];
+      right += MOVES[code][1];
+      up += MOVES[code][2];
+    });
+
+    camera.getWorldDirection(_forward).setY(0);
+    if (_forward.lengthSq() < 1e-6) {
+      // Looking straight down: walk towards the top of the screen
+      _forward.set(0, 0, -1).applyQuaternion(camera.quaternion).setY(0);
+    }
+    _forward.normalize();
+    _right.crossVectors(_forward, _up);
+
+    _move
+      .set(0, 0, 0)
+      .addScaledVector(_forward, forward)
+      .addScaledVector(_right, right)
+      .addScaledVector(_up, up);
+    if (_move.lengthSq() === 0) return;
+    _move.normalize().multiplyScalar(settings.moveSpeed * delta);
+
+    camera.position.add(_move);
+    controls.target.add(_move);
+  }
+
+  return {
+    params: settings,
+    controls,
+
+    get enabled() {
+      return active;
+    },
+
+    // Starts orbiting around `target`, from wherever the camera is now
+    enable(target) {
+      active = true;
+      controls.enabled = true;
+      controls.target.copy(target);
+      clampToForest(controls.target, 0);
+      domElement.style.touchAction = "none";
+      controls.update();
+    },
+
+    disable() {
+      active = false;
+      controls.enabled = false;
+      pressed.clear();
+      domElement.style.touchAction = "";
+    },
+
+    get target() {
+      return controls.target;
+    },
+
+    setParams(values) {
+      Object.assign(settings, values);
+      applyParams();
+    },
+
+    update(delta) {
+      if (!active) return;
+      walk(delta);
+      controls.update();
+      clampToForest(controls.target, 0);
+      clampToForest(camera.position, settings.clearance);
+    },
+
+    dispose() {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+      controls.dispose();
+    },
+  };
+}
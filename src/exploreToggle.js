@@ -0,0 +1,17 @@
+import { createToggleButton } from "./toggleButton";
+
+// Corner button switching between the scroll tour and free-explore mode
+export function createExploreToggle(onToggle) {
+  const button = createToggleButton("explore-toggle", onToggle);
+
+  function render(exploring) {
+    button.textContent = exploring ? "back to the tour" : "explore";
+    button.title = exploring
+      ? "Return to the scroll-driven camera (Esc)"
+      : "Look around freely: drag to orbit, WASD to walk, Q/E to rise and sink";
+    button.setAttribute("aria-pressed", String(exploring));
+  }
+
+  render(false);
+  return { element: button, render };
+}
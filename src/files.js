@@ -0,0 +1,27 @@
+// Saves a Blob through a temporary link, as if the user had clicked a download
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // The download starts after this task; revoking now can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Opens the file picker; resolves with the chosen File. Never settles if the
+// picker is cancelled, since browsers don't report that.
+export function pickFile(accept) {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = accept;
+    input.addEventListener("change", () => {
+      const [file] = input.files;
+      if (file) {
+        resolve(file);
+      }
+    });
+    input.click();
+  });
+}
@@ -0,0 +1,119 @@
+import * as THREE from "three";
+import { SkeletonUtils } from "three/examples/jsm/utils/SkeletonUtils";
+
+// Plays the animation clips authored in firefly.glb on each firefly clone
+
+// Object3D.clone() shares skeletons and loses skinned bindings; SkeletonUtils
+// rebinds them so every clone can be animated on its own
+export function cloneAnimatedModel(source) {
+  return SkeletonUtils.clone(source);
+}
+
+// Wraps an AnimationMixer for one firefly. By default every clip plays at
+// once, since the GLB splits wing and body motion across several clips.
+// phase (0..1) offsets the clips so the swarm doesn't flap in lockstep.
+export function createFireflyAnimator(root, clips, { phase = 0, timeScale = 1 } = {}) {
+  const mixer = new THREE.AnimationMixer(root);
+  mixer.timeScale = timeScale;
+
+  const actions = new Map();
+  clips.forEach((clip) => {
+    actions.set(clip.name, mixer.clipAction(clip));
+  });
+
+  // reset() rewinds to frame 0, so the phase goes in after it
+  function start(a) {
+    a.reset().setEffectiveWeight(1).play();
+    a.time = phase * a.getClip().duration;
+    return a;
+  }
+
+  function action(name) {
+    const found = actions.get(name);
+    if (!found) {
+      throw new Error(`Unknown firefly clip "${name}"`);
+    }
+    return found;
+  }
+
+  function playing() {
+    return [...actions.values()].filter((a) => a.isRunning() && a.getEffectiveWeight() > 0);
+  }
+
+  const animator = {
+    mixer,
+
+    listClips() {
+      return [...actions.keys()];
+    },
+
+    playAll() {
+      actions.forEach(start);
+    },
+
+    play(name) {
+      mixer.stopAllAction();
+      start(action(name));
+    },
+
+    // Fades whatever is playing out while the named clip fades in
+    crossFadeTo(name, duration = 0.5) {
+      const next = action(name);
+      const current = playing().filter((a) => a !== next);
+
+      start(next);
+      if (current.length === 0) {
+        next.fadeIn(duration);
+        return;
+      }
+      current.forEach((a) => a.crossFadeTo(next, duration, false));
+    },
+
+    setTimeScale(scale) {
+      mixer.timeScale = scale;
+    },
+
+    update(delta) {
+      mixer.update(delta);
+    },
+
+    dispose() {
+      mixer.stopAllAction();
+      mixer.uncacheRoot(root);
+    },
+  };
+
+  animator.playAll();
+  return animator;
+}
+
+// Swarm-wide helpers over the animators stored in firefly.userData.animator
+
+export function listSwarmClips(fireflies) {
+  const withAnimator = fireflies.find((firefly) => firefly.userData.animator);
+  return withAnimator ? withAnimator.userData.animator.listClips() : [];
+}
+
+export function crossFadeSwarm(fireflies, name, duration = 0.5) {
+  fireflies.forEach((firefly) => {
+    if (firefly.userData.animator) {
+      firefly.userData.animator.crossFadeTo(name, duration);
+    }
+  });
+}
+
+export function playAllSwarmClips(fireflies) {
+  fireflies.forEach((firefly) => {
+    if (firefly.userData.animator) {
+      firefly.userData.animator.playAll();
+    }
+  });
+}
+
+export function updateSwarmAnimations(fireflies, delta) {
+  fireflies.forEach((firefly) => {
+    if (firefly.userData.animator) {
+      firefly.userData.animator.update(delta);
+    }
+  });
+}
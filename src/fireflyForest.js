@@ -0,0 +1,156 @@
+import { createForestScene } from "./scene";
+import { DEFAULT_THEME, THEMES } from "./themes";
+import { QUALITY_TIERS } from "./quality";
+
+// <firefly-forest> - the scene packaged as an element that renders into its
+// own box. Whatever it wraps scrolls inside it and drives the camera, or the
+// progress attribute (0..1) sets the camera position directly:
+//
+//   <firefly-forest seed="moss" fireflies="12" density="0.6" palette="frost">
+//     <p>Anything here scrolls over the forest</p>
+//   </firefly-forest>
+//
+// Each element has its own canvas, renderer and seed, so several can share a
+// page. Changing an attribute other than progress rebuilds the scene.
+
+const TEMPLATE = `
+  <style>
+    :host {
+      display: block;
+      position: relative;
+      height: 400px;
+      overflow: hidden;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    canvas {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      display: block;
+    }
+
+    .content {
+      position: absolute;
+      inset: 0;
+      overflow-y: auto;
+    }
+  </style>
+  <canvas></canvas>
+  <div class="content" part="content"><slot></slot></div>
+`;
+
+// Attributes that need a fresh scene when they change
+const BUILD_ATTRIBUTES = ["seed", "fireflies", "density", "palette", "theme", "quality", "sound", "asset-base", "debug"];
+
+function numberAttribute(element, name, fallback) {
+  const value = parseFloat(element.getAttribute(name));
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// An unknown name falls back rather than throwing from inside a callback
+function choiceAttribute(element, name, choices, fallback) {
+  const value = element.getAttribute(name);
+  return choices[value] ? value : fallback;
+}
+
+export class FireflyForest extends HTMLElement {
+  static get observedAttributes() {
+    return [...BUILD_ATTRIBUTES, "progress"];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" }).innerHTML = TEMPLATE;
+    this.canvas = this.shadowRoot.querySelector("canvas");
+    this.content = this.shadowRoot.querySelector(".content");
+    this.scene = null;
+    this.rebuildQueued = false;
+  }
+
+  connectedCallback() {
+    this.build();
+  }
+
+  disconnectedCallback() {
+    this.teardown();
+  }
+
+  attributeChangedCallback(name, previous, value) {
+    if (!this.scene || previous === value) return;
+    if (name === "progress") {
+      this.scene.setProgress(this.progress);
+    } else {
+      this.queueRebuild();
+    }
+  }
+
+  // 0..1 along the camera path, or null to follow the element's own scroll
+  get progress() {
+    if (!this.hasAttribute("progress")) return null;
+    return Math.min(Math.max(numberAttribute(this, "progress", 0), 0), 1);
+  }
+
+  set progress(value) {
+    if (value === null || value === undefined) {
+      this.removeAttribute("progress");
+    } else {
+      this.setAttribute("progress", String(value));
+    }
+  }
+
+  get seed() {
+    return this.scene ? this.scene.seed : this.getAttribute("seed");
+  }
+
+  // Several attributes set in a row rebuild once
+  queueRebuild() {
+    if (this.rebuildQueued) return;
+    this.rebuildQueued = true;
+    queueMicrotask(() => {
+      this.rebuildQueued = false;
+      if (this.isConnected) {
+        this.teardown();
+        this.build();
+      }
+    });
+  }
+
+  build() {
+    if (this.scene) return;
+    this.scene = createForestScene(this.canvas, {
+      seed: this.getAttribute("seed"),
+      container: this,
+      scrollElement: this.content,
+      anchors: false,
+      progress: this.progress,
+      eventTarget: this.content,
+      theme: choiceAttribute(this, "theme", THEMES, DEFAULT_THEME),
+      fireflyCount: Math.max(0, Math.round(numberAttribute(this, "fireflies", 6))),
+      treeDensity: Math.max(0, numberAttribute(this, "density", 1)),
+      palette: this.getAttribute("palette") || "meadow",
+      quality: choiceAttribute(this, "quality", QUALITY_TIERS, null),
+      sound: this.hasAttribute("sound"),
+      assetBase: this.getAttribute("asset-base") || "",
+      debug: this.hasAttribute("debug"),
+    });
+  }
+
+  teardown() {
+    if (!this.scene) return;
+    this.scene.dispose();
+    this.scene = null;
+  }
+}
+
+// Safe to import more than once (say, from two bundles on one page)
+export function defineFireflyForest(name = "firefly-forest") {
+  if (!window.customElements.get(name)) {
+    window.customElements.define(name, FireflyForest);
+  }
+}
@@ -0,0 +1,165 @@
+// Bioluminescent flashing for the firefly swarm. Each firefly runs its own
+// oscillator; nearby fireflies nudge each other's phase (Kuramoto coupling),
+// so the swarm drifts into synchronized blinking over time.
+
+const TWO_PI = Math.PI * 2;
+
+// Flash curves: phase in [0, 1) to brightness in [0, 1]. Each flash starts at
+// phase 0, which is the point the oscillators synchronize on.
+export const FLASH_PATTERNS = {
+  // One soft flash per cycle
+  pulse(phase, duty) {
+    return phase < duty ? Math.sin((Math.PI * phase) / duty) : 0;
+  },
+
+  // Two quick flashes, like Photinus pyralis
+  double(phase, duty) {
+    const half = duty / 2;
+    if (phase < half) return Math.sin((Math.PI * phase) / half);
+    if (phase < half * 1.5) return 0;
+    if (phase < half * 2.5) return Math.sin((Math.PI * (phase - half * 1.5)) / half);
+    return 0;
+  },
+
+  // A flash with a fast shimmer inside it
+  flicker(phase, duty) {
+    if (phase >= duty) return 0;
+    const envelope = Math.sin((Math.PI * phase) / duty);
+    return envelope * (0.6 + 0.4 * Math.sin(phase * 80));
+  },
+
+  // No flashing at all - the swarm glows steadily
+  steady() {
+    return 1;
+  },
+};
+
+export const DEFAULT_FLASH_PARAMS = {
+  pattern: "pulse",      // key of FLASH_PATTERNS, or a function (phase, duty) => 0..1
+  period: 3,             // seconds between flashes
+  periodJitter: 0.15,    // +- fraction each firefly's natural period varies by
+  duty: 0.25,            // fraction of the cycle spent flashing
+  coupling: 0.5,         // Kuramoto K; 0 leaves the fireflies independent
+  couplingRadius: 20,    // fireflies further apart than this ignore each other
+  baseline: 0.15,        // brightness between flashes, relative to the original glow
+  intensity: 1,          // overall glow multiplier, e.g. to fade the swarm in at dusk
+};
+
+// Records the glow a firefly was created with, so flashing scales it rather
+// than overwriting it. lights: PointLights, halos: halo materials (opacity),
+// emissives: materials with an emissive channel.
+export function registerGlow(firefly, { lights = [], halos = [], emissives = [] }) {
+  firefly.userData.glow = {
+    lights: lights.map((light) => ({ light, base: light.intensity })),
+    halos: halos.map((material) => ({ material, base: material.opacity })),
+    emissives: emissives.map((material) => ({ material, base: material.emissiveIntensity })),
+  };
+}
+
+export function createFlashSync({ random, params = {} } = {}) {
+  const settings = { ...DEFAULT_FLASH_PARAMS, ...params };
+
+  function curve() {
+    return typeof settings.pattern === "function"
+      ? settings.pattern
+      : FLASH_PATTERNS[settings.pattern] || FLASH_PATTERNS.pulse;
+  }
+
+  function initOscillator(firefly) {
+    firefly.userData.flash = {
+      phase: random.next() * TWO_PI,
+      // Natural frequency as a multiple of the shared one, so period changes
+      // apply to everyone while keeping the spread
+      detune: 1 + random.spread(2) * settings.periodJitter,
+      brightness: 0,
+    };
+  }
+
+  function applyGlow(firefly, brightness) {
+    const glow = firefly.userData.glow;
+    if (!glow) return;
+    const level = (settings.baseline + (1 - settings.baseline) * brightness) * settings.intensity;
+
+    glow.lights.forEach(({ light, base }) => {
+      light.intensity = base * level;
+    });
+    glow.halos.forEach(({ material, base }) => {
+      material.opacity = base * level;
+    });
+    glow.emissives.forEach(({ material, base }) => {
+      material.emissiveIntensity = base * level;
+    });
+  }
+
+  function step(fireflies, delta) {
+    const omega = TWO_PI / settings.period;
+    const radiusSq = settings.couplingRadius * settings.couplingRadius;
+
+    // Phase velocities are computed from the old phases before any are moved
+    const rates = fireflies.map((firefly) => {
+      const own = firefly.userData.flash;
+      let pull = 0;
+      let neighbours = 0;
+
+      fireflies.forEach((other) => {
+        if (other === firefly) return;
+        const distanceSq = firefly.position.distanceToSquared(other.position);
+        if (distanceSq > radiusSq) return;
+        // Closer fireflies are seen more clearly and pull harder
+        const weight = 1 - Math.sqrt(distanceSq) / settings.couplingRadius;
+        pull += weight * Math.sin(other.userData.flash.phase - own.phase);
+        neighbours++;
+      });
+
+      const coupling = neighbours > 0 ? (settings.coupling / neighbours) * pull : 0;
+      return omega * own.detune + coupling;
+    });
+
+    fireflies.forEach((firefly, index) => {
+      const flash = firefly.userData.flash;
+      // Strong coupling can briefly run a phase backwards, so wrap both ways
+      flash.phase = (((flash.phase + rates[index] * delta) % TWO_PI) + TWO_PI) % TWO_PI;
+      flash.brightness = curve()(flash.phase / TWO_PI, settings.duty);
+      applyGlow(firefly, flash.brightness);
+    });
+  }
+
+  return {
+    params: settings,
+
+    setParams(values) {
+      Object.assign(settings, values);
+    },
+
+    // Fires a flash right now, as if the firefly's own cycle had come round;
+    // coupling then drags its neighbours along
+    trigger(firefly) {
+      if (!firefly.userData.flash) {
+        initOscillator(firefly);
+      }
+      firefly.userData.flash.phase = 0;
+    },
+
+    // Kuramoto order parameter: 0 is fully scattered, 1 is in perfect sync
+    coherence(fireflies) {
+      const flashing = fireflies.filter((firefly) => firefly.userData.flash);
+      if (flashing.length === 0) return 0;
+      let x = 0;
+      let y = 0;
+      flashing.forEach((firefly) => {
+        x += Math.cos(firefly.userData.flash.phase);
+        y += Math.sin(firefly.userData.flash.phase);
+      });
+      return Math.sqrt(x * x + y * y) / flashing.length;
+    },
+
+    update(fireflies, delta) {
+      fireflies.forEach((firefly) => {
+        if (!firefly.userData.flash) {
+          initOscillator(firefly);
+        }
+      });
+      step(fireflies, Math.min(delta, 0.1));
+    },
+  };
+}
@@ -0,0 +1,273 @@
+import * as THREE from "three";
+
+// Steering-behaviour flocking (Reynolds boids) for the firefly swarm. Works on
+// any Object3D: state lives in object.userData.velocity, so GLB clones and
+// fallback spheres behave the same.
+
+export const DEFAULT_FLOCK_PARAMS = {
+  maxSpeed: 5,            // units per second
+  minSpeed: 1,
+  maxForce: 8,            // max steering acceleration
+  perceptionRadius: 10,   // neighbours considered for alignment/cohesion
+  separationRadius: 4,
+  separationWeight: 1.8,
+  alignmentWeight: 0.6,
+  cohesionWeight: 0.4,
+  wanderWeight: 1.0,
+  wanderJitter: 2.5,      // how fast the wander direction changes
+  obstacleWeight: 4,
+  obstacleClearance: 2.5, // distance kept from tree trunks
+  groundY: -16,           // flat ground, used when no groundAt function is given
+  groundClearance: 4,
+  groundWeight: 5,
+  boundsWeight: 3,
+  boundsMargin: 8,        // start turning back this far inside the bounds
+  bounds: new THREE.Box3(new THREE.Vector3(-40, -12, -40), new THREE.Vector3(40, 16, 40)),
+  scatterRadius: 12,      // boids this close to a scare bolt away from it
+  scatterSpeed: 3,        // multiple of maxSpeed at the start of a bolt
+  scatterDuration: 1.5,   // seconds for a bolt to ease back to cruising
+};
+
+const _steer = new THREE.Vector3();
+const _separation = new THREE.Vector3();
+const _alignment = new THREE.Vector3();
+const _cohesion = new THREE.Vector3();
+const _avoid = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _ahead = new THREE.Vector3();
+const _force = new THREE.Vector3();
+const _acceleration = new THREE.Vector3();
+
+// obstacles: vertical cylinders { x, z, radius, bottom, top } - tree trunks
+// groundAt: optional (x, z) => ground height; falls back to params.groundY
+export function createFlock({ random, params = {}, obstacles = [], groundAt = null } = {}) {
+  const settings = {
+    ...DEFAULT_FLOCK_PARAMS,
+    ...params,
+    bounds: (params.bounds || DEFAULT_FLOCK_PARAMS.bounds).clone(),
+  };
+
+  function groundHeight(position) {
+    return groundAt ? groundAt(position.x, position.z) : settings.groundY;
+  }
+
+  function initBoid(boid) {
+    const data = boid.userData;
+    data.velocity = new THREE.Vector3(random.spread(2), random.spread(0.5), random.spread(2))
+      .normalize()
+      .multiplyScalar(settings.minSpeed + random.next() * (settings.maxSpeed - settings.minSpeed));
+    data.wander = data.velocity.clone().normalize();
+  }
+
+  // Reynolds' "desired velocity minus current velocity", capped at maxForce
+  function steerTowards(direction, velocity, out) {
+    if (direction.lengthSq() === 0) {
+      return out.set(0, 0, 0);
+    }
+    out.copy(direction).setLength(settings.maxSpeed).sub(velocity);
+    return out.clampLength(0, settings.maxForce);
+  }
+
+  function flockForces(boid, boids) {
+    const position = boid.position;
+    const velocity = boid.userData.velocity;
+    _separation.set(0, 0, 0);
+    _alignment.set(0, 0, 0);
+    _cohesion.set(0, 0, 0);
+    let neighbours = 0;
+
+    boids.forEach((other) => {
+      if (other === boid || !other.userData.velocity) return;
+      _offset.subVectors(position, other.position);
+      const distance = _offset.length();
+      if (distance === 0 || distance > settings.perceptionRadius) return;
+
+      if (distance < settings.separationRadius) {
+        // Closer neighbours push harder
+        _separation.addScaledVector(_offset, 1 / (distance * distance));
+      }
+      _alignment.add(other.userData.velocity);
+      _cohesion.add(other.position);
+      neighbours++;
+    });
+
+    _force.set(0, 0, 0);
+    _force.addScaledVector(steerTowards(_separation, velocity, _steer), settings.separationWeight);
+    if (neighbours > 0) {
+      _alignment.divideScalar(neighbours);
+      _force.addScaledVector(steerTowards(_alignment, velocity, _steer), settings.alignmentWeight);
+      _cohesion.divideScalar(neighbours).sub(position);
+      _force.addScaledVector(steerTowards(_cohesion, velocity, _steer), settings.cohesionWeight);
+    }
+    return _force;
+  }
+
+  // Reynolds wander: a target jittering on a sphere projected ahead of the
+  // boid, so the meandering follows its current heading
+  function wanderForce(boid, delta) {
+    const data = boid.userData;
+    const jitter = settings.wanderJitter * delta;
+    data.wander.x += random.spread(2) * jitter;
+    data.wander.y += random.spread(1) * jitter;
+    data.wander.z += random.spread(2) * jitter;
+    // Bleed off the vertical part so the swarm mostly cruises level
+    data.wander.y *= 1 - Math.min(1, delta);
+    data.wander.normalize();
+
+    _offset.copy(data.velocity).setLength(2).add(data.wander);
+    return steerTowards(_offset, data.velocity, _steer);
+  }
+
+  function avoidanceForce(boid) {
+    const velocity = boid.userData.velocity;
+    _avoid.set(0, 0, 0);
+
+    // Look half a second ahead so fireflies turn before they reach a trunk
+    _ahead.copy(boid.position).addScaledVector(velocity, 0.5);
+
+    obstacles.forEach((trunk) => {
+      if (_ahead.y < trunk.bottom || _ahead.y > trunk.top + settings.obstacleClearance) return;
+      const dx = _ahead.x - trunk.x;
+      const dz = _ahead.z - trunk.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      const reach = trunk.radius + settings.obstacleClearance;
+      if (distance >= reach || distance === 0) return;
+      const strength = 1 - Math.max(0, distance - trunk.radius) / settings.obstacleClearance;
+      _avoid.x += (dx / distance) * strength;
+      _avoid.z += (dz / distance) * strength;
+    });
+
+    // Ground
+    const height = boid.position.y - groundHeight(boid.position);
+    if (height < settings.groundClearance) {
+      _avoid.y += (settings.groundWeight / settings.obstacleWeight) *
+        (1 - Math.max(0, height) / settings.groundClearance);
+    }
+
+    return steerTowards(_avoid, velocity, _steer);
+  }
+
+  // Inside the margin, steer back towards the middle of the bounds, harder the
+  // deeper the boid is. Pushing straight off each wall instead only turns
+  // fireflies until they run parallel to it, and they end up skimming the
+  // edges of the volume.
+  function boundsForce(boid) {
+    const { min, max } = settings.bounds;
+    const margin = settings.boundsMargin;
+    const position = boid.position;
+    let depth = 0;
+
+    ["x", "y", "z"].forEach((axis) => {
+      depth = Math.max(
+        depth,
+        (min[axis] + margin - position[axis]) / margin,
+        (position[axis] - (max[axis] - margin)) / margin
+      );
+    });
+
+    if (depth <= 0) {
+      return _steer.set(0, 0, 0);
+    }
+    settings.bounds.getCenter(_offset).sub(position);
+    return steerTowards(_offset, boid.userData.velocity, _steer).multiplyScalar(Math.min(1, depth));
+  }
+
+  function updateBoid(boid, boids, delta) {
+    const data = boid.userData;
+    const velocity = data.velocity;
+    const acceleration = _acceleration.set(0, 0, 0);
+
+    // A startled boid may fly faster for a while, easing back to normal
+    let maxSpeed = settings.maxSpeed;
+    if (data.startle > 0) {
+      maxSpeed *= 1 + (settings.scatterSpeed - 1) * (data.startle / settings.scatterDuration);
+      data.startle = Math.max(0, data.startle - delta);
+    }
+
+    acceleration.add(flockForces(boid, boids));
+    acceleration.addScaledVector(wanderForce(boid, delta), settings.wanderWeight);
+    acceleration.addScaledVector(avoidanceForce(boid), settings.obstacleWeight);
+    acceleration.addScaledVector(boundsForce(boid), settings.boundsWeight);
+
+    velocity.addScaledVector(acceleration, delta);
+    const speed = velocity.length();
+    if (speed > maxSpeed) {
+      velocity.setLength(maxSpeed);
+    } else if (speed < settings.minSpeed) {
+      velocity.setLength(settings.minSpeed);
+    }
+
+    boid.position.addScaledVector(velocity, delta);
+
+    // Never sink below the ground, whatever the forces say
+    boid.position.y = Math.max(boid.position.y, groundHeight(boid.position) + 0.5);
+    boid.position.clamp(settings.bounds.min, settings.bounds.max);
+
+    // Face the direction of travel, pitching gently when climbing or diving
+    const yaw = Math.atan2(velocity.x, velocity.z);
+    boid.rotation.y = yaw;
+    boid.rotation.x = -Math.asin(THREE.MathUtils.clamp(velocity.y / velocity.length(), -1, 1)) * 0.5;
+  }
+
+  return {
+    params: settings,
+    obstacles,
+
+    // Merge new values into the live parameters; takes effect next frame
+    setParams(values) {
+      Object.assign(settings, values);
+      if (values.bounds) {
+        settings.bounds = values.bounds.clone();
+      }
+    },
+
+    addObstacles(list) {
+      obstacles.push(...list);
+    },
+
+    removeObstacles(list) {
+      const removed = new Set(list);
+      const kept = obstacles.filter((obstacle) => !removed.has(obstacle));
+      obstacles.length = 0;
+      obstacles.push(...kept);
+    },
+
+    clearObstacles() {
+      obstacles.length = 0;
+    },
+
+    // Startles the boids near `origin` (a click, say) into bolting away from
+    // it; the closer they are, the harder they bolt
+    scatter(boids, origin) {
+      boids.forEach((boid) => {
+        if (!boid.userData.velocity) {
+          initBoid(boid);
+        }
+        _offset.subVectors(boid.position, origin);
+        const distance = _offset.length();
+        if (distance > settings.scatterRadius) return;
+        if (distance === 0) {
+          _offset.set(random.spread(2), random.spread(2), random.spread(2));
+        }
+        // Fireflies scatter upwards rather than into the ground
+        _offset.y = Math.abs(_offset.y) + 0.5 * _offset.length();
+
+        const closeness = 1 - distance / settings.scatterRadius;
+        const data = boid.userData;
+        data.startle = settings.scatterDuration * Math.max(0.5, closeness);
+        data.velocity.copy(_offset).setLength(settings.maxSpeed * settings.scatterSpeed * Math.max(0.5, closeness));
+      });
+    },
+
+    update(boids, delta) {
+      // A long frame (tab switch) would fling everything through the bounds
+      const step = Math.min(delta, 0.1);
+      boids.forEach((boid) => {
+        if (!boid.userData.velocity) {
+          initBoid(boid);
+        }
+      });
+      boids.forEach((boid) => updateBoid(boid, boids, step));
+    },
+  };
+}
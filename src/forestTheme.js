@@ -0,0 +1,1228 @@
+import * as THREE from "three";
+import { CAMERA_KEYFRAMES } from "./cameraKeyframes";
+import { composeMatrix, createInstancedMesh, enableInstanceOpacity, setInstanceDensity } from "./instancing";
+import {
+  cloneAnimatedModel,
+  createFireflyAnimator,
+  crossFadeSwarm,
+  listSwarmClips,
+  playAllSwarmClips,
+  updateSwarmAnimations,
+} from "./fireflyAnimation";
+import { createFlock } from "./flocking";
+import { createFlashSync, FLASH_PATTERNS, registerGlow } from "./flashing";
+import { markGlowing } from "./postprocessing";
+import { createDayNightCycle, skyClockFromUrl } from "./dayNight";
+import { createTerrain } from "./terrain";
+import { applyWind, createWind } from "./wind";
+import { createSunShadow } from "./shadows";
+import { createChunkStreamer } from "./chunks";
+import { bakeImpostorAtlas, createImpostorMesh } from "./impostors";
+import { disposeObject } from "./dispose";
+import { PALETTES, resolvePalette } from "./palettes";
+
+// The forest theme: terrain, instanced vegetation swaying in the wind, a
+// flocking, flash-synchronized firefly swarm and a day/night lighting rig.
+// Ground and plants are streamed in chunks around the camera (see chunks.js),
+// with trees dropping to simpler meshes and then impostors with distance.
+// Shares the stars, moon and sky dome with the other themes.
+
+export const DEFAULT_FOREST_OPTIONS = {
+  fireflyCount: 6,
+  treeDensity: 1,       // multiplies the number of trees
+  palette: "meadow",    // key of PALETTES
+  // How many of each plant to try to place per chunk (40 units square by
+  // default); spots the terrain rules out are skipped, and the quality tier
+  // thins the undergrowth further
+  grassPatches: 6,
+  mossPatches: 5,
+  largeTrees: 6,
+  mediumTrees: 10,
+  grassBlades: 75,
+  bushes: 13,
+  ferns: 17,
+};
+
+// Options that only need the swarm respawned; any other change regrows the
+// vegetation
+const FIREFLY_OPTIONS = ["fireflyCount", "palette"];
+
+// Enhanced Forest Lighting System. pointLight doubles as moonlight. Which
+// lights cast shadows is decided each frame from the quality tier and whether
+// the light is on at all.
+function createLights(root) {
+  const pointLight = new THREE.PointLight(0xffffff, 1.2, 100);
+  pointLight.position.set(5, 8, 5);
+  pointLight.shadow.mapSize.set(512, 512);
+  pointLight.shadow.camera.near = 0.5;
+  pointLight.shadow.camera.far = 60;
+  pointLight.shadow.bias = -0.002;
+
+  // Main ambient lighting - warmer and brighter for better visibility
+  const ambientLight = new THREE.AmbientLight(0x505050, 0.8);
+
+  // Primary forest directional light (sun filtering through canopy)
+  const sun = new THREE.DirectionalLight(0xffeedd, 1.2);
+  sun.position.set(15, 20, 10); // map size comes from the quality tier
+
+  // Secondary forest light from opposite direction for fill
+  const fill = new THREE.DirectionalLight(0xe6f3ff, 0.4);
+  fill.position.set(-10, 15, -8);
+
+  // Subtle green-tinted ambient for forest atmosphere
+  const forestAmbient = new THREE.AmbientLight(0x2a4a2a, 0.4);
+
+  // Ground-level rim lighting for depth
+  const ground = new THREE.DirectionalLight(0x4a6a4a, 0.3);
+  ground.position.set(0, 2, 0);
+
+  pointLight.name = "moonlight";
+  ambientLight.name = "ambient light";
+  sun.name = "sun";
+  fill.name = "fill light";
+  forestAmbient.name = "forest ambient light";
+  ground.name = "ground light";
+
+  // The target moves with the shadow focus, so it has to be in the scene
+  root.add(pointLight, ambientLight, sun, sun.target, fill, forestAmbient, ground);
+  return { sun, fill, ambient: ambientLight, forestAmbient, ground, moonlight: pointLight };
+}
+
+// Multiple Roaming Fireflies
+// Each firefly gets its own stream, and draws its start position first, so the
+// GLB and fallback paths place the swarm identically for a given seed
+function fireflyRandom(worldRandom, index) {
+  return worldRandom.fork(`firefly-${index}`);
+}
+
+function randomFireflyPosition(random) {
+  return new THREE.Vector3(
+    random.spread(40),   // x: -20 to 20
+    random.range(2, 10), // y: 2 to 10 (above forest floor)
+    random.spread(40)    // z: -20 to 20
+  );
+}
+
+// Fireflies glow through their emissive channel, which the flash sync scales
+// and the bloom pass picks up, rather than through a point light each. The
+// fallback spheres and the GLB clones both get theirs set up here.
+function setGlow(material, hue, random) {
+  material.emissive = new THREE.Color().setHSL(hue, 0.9, 0.4);
+  material.emissiveIntensity = 0.4 + random.next() * 0.4;
+  return material;
+}
+
+function makeGlowing(firefly, { emissives, halos = [] }) {
+  markGlowing(firefly);
+  registerGlow(firefly, { halos, emissives });
+}
+
+function createSingleFirefly({ root, fireflies, palette, random: worldRandom }, index) {
+  const random = fireflyRandom(worldRandom, index);
+  const startPosition = randomFireflyPosition(random);
+  const geometry = new THREE.SphereGeometry(0.8 + random.next() * 0.4, 16, 16);
+  
+  // Vary the colors slightly for each firefly
+  const hue = palette.hue + random.next() * palette.hueSpread;
+  const color = new THREE.Color().setHSL(hue, 0.8, 0.6);
+  
+  // Lambert rather than Basic so the body has an emissive channel to flash
+  const material = new THREE.MeshLambertMaterial({
+    color: color,
+    transparent: true,
+    opacity: 0.8 + random.next() * 0.2
+  });
+  setGlow(material, hue, random);
+  
+  const fireflyMesh = new THREE.Mesh(geometry, material);
+  fireflyMesh.position.copy(startPosition);
+  fireflyMesh.castShadow = true; // the body only; the halo is just glow
+  
+  // Add a glowing halo
+  const haloGeometry = new THREE.SphereGeometry(1.5 + random.next() * 0.5, 12, 12);
+  const haloMaterial = new THREE.MeshBasicMaterial({
+    color: material.emissive,
+    transparent: true,
+    opacity: 0.15,
+    side: THREE.BackSide
+  });
+  const halo = new THREE.Mesh(haloGeometry, haloMaterial);
+  fireflyMesh.add(halo);
+  
+  makeGlowing(fireflyMesh, { emissives: [material], halos: [haloMaterial] });
+  
+  fireflyMesh.name = `firefly ${index + 1}`;
+  root.add(fireflyMesh);
+  fireflies.push(fireflyMesh);
+  
+  return fireflyMesh;
+}
+
+function createFallbackFireflies(world) {
+  const { fireflyCount } = world.options;
+  for (let i = 0; i < fireflyCount; i++) {
+    createSingleFirefly(world, i);
+  }
+}
+
+function createGlbFireflies({ root, fireflies, palette, options, random: worldRandom }, gltf) {
+  // Create multiple fireflies from the GLB model
+  for (let i = 0; i < options.fireflyCount; i++) {
+    const random = fireflyRandom(worldRandom, i);
+    const fireflyClone = cloneAnimatedModel(gltf.scene);
+    fireflyClone.position.copy(randomFireflyPosition(random));
+    
+    // Vary the scale for each firefly
+    const scale = 3 + random.next() * 4;
+    fireflyClone.scale.setScalar(scale);
+
+    const emissives = [];
+    fireflyClone.traverse((child) => {
+      if (child.isMesh && child.material) {
+        // Vary colors for each firefly
+        const hue = palette.hue + random.next() * palette.hueSpread;
+        child.material = setGlow(child.material.clone(), hue, random); // Clone material for unique colors
+        child.material.transparent = true;
+        child.material.opacity = 0.8 + random.next() * 0.2;
+        child.castShadow = true;
+        emissives.push(child.material);
+      }
+    });
+    
+    makeGlowing(fireflyClone, { emissives });
+
+    // Own mixer per clone, with a phase offset and playback speed so the
+    // wings don't all beat together
+    fireflyClone.userData.animator = createFireflyAnimator(fireflyClone, gltf.animations, {
+      phase: random.next(),
+      timeScale: 0.8 + random.next() * 0.4
+    });
+
+    fireflyClone.name = `firefly ${i + 1}`;
+    root.add(fireflyClone);
+    fireflies.push(fireflyClone);
+  }
+}
+
+// Enhanced Forest Ground and Vegetation
+// The forest is streamed in square chunks around the camera (see chunks.js).
+// Each generator fills one plot - a chunk's area, drawing from that chunk's
+// own fork of the seed, so a chunk comes back the same every time it's
+// rebuilt. Generators collect per-instance transforms, colors and opacities
+// and then build one InstancedMesh per geometry, keeping each chunk to a
+// handful of draw calls. Everything is placed with terrain.scatter, which only
+// picks spots the slope and height rules allow, and sits on terrain.heightAt.
+
+// Plants are sunk slightly so trunks don't float where the mesh triangles dip
+// below the sampled height
+const GROUND_SINK = 0.2;
+
+// A spot inside the plot's area where `kind` may grow, or null
+function scatter(terrain, random, kind, { centerX, centerZ, size }) {
+  return terrain.scatter(random, kind, size, { centerX, centerZ });
+}
+
+// Sets a mesh's shadow flags and hands it back, to wrap like applyWind. Trees,
+// bushes and fireflies cast; the ground and everything low on it receives.
+function shadowed(mesh, { cast = false, receive = false }) {
+  mesh.castShadow = cast;
+  mesh.receiveShadow = receive;
+  return mesh;
+}
+
+// Names a mesh and hands it back. Names carry through to glTF exports, where
+// each instance becomes its own numbered object ("fern frond 12").
+function named(name, mesh) {
+  mesh.name = name;
+  return mesh;
+}
+
+// Flat decal geometry lying in the XZ plane
+function createDecalGeometry(width, depth) {
+  return new THREE.PlaneGeometry(width, depth).rotateX(-Math.PI / 2);
+}
+
+// Orientation for a decal: tilted onto the slope, then spun about its normal
+function decalRotation(terrain, x, z, spin) {
+  return terrain
+    .alignToSurface(x, z)
+    .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), spin));
+}
+
+function createForestFloor({ root, terrain, options, area, random: plotRandom }) {
+  const random = plotRandom.fork("floor");
+
+  // Create multiple overlapping grass patches for better coverage
+  const grassPatches = [];
+  for (let i = 0; i < options.grassPatches; i++) {
+    const spot = scatter(terrain, random, "grass", area);
+    if (!spot) continue;
+    const grassColor = new THREE.Color().setHSL(
+      0.25 + random.next() * 0.15, // Green to yellow-green
+      0.5 + random.next() * 0.4,   // Varied saturation
+      0.2 + random.next() * 0.3    // Varied lightness
+    );
+    grassPatches.push({
+      color: grassColor,
+      opacity: 0.7 + random.next() * 0.2,
+      matrix: composeMatrix(
+        [spot.x, spot.y + 0.15, spot.z],
+        decalRotation(terrain, spot.x, spot.z, random.next() * Math.PI * 2)
+      )
+    });
+  }
+  root.add(shadowed(named("grass patch", createInstancedMesh(
+    createDecalGeometry(15, 15),
+    enableInstanceOpacity(new THREE.MeshLambertMaterial({ side: THREE.DoubleSide })),
+    grassPatches
+  )), { receive: true }));
+  
+  // Add moss patches for ground variation
+  const mossPatches = [];
+  for (let i = 0; i < options.mossPatches; i++) {
+    const spot = scatter(terrain, random, "moss", area);
+    if (!spot) continue;
+    const width = 8 + random.next() * 5;
+    const depth = 8 + random.next() * 5;
+    mossPatches.push({
+      color: new THREE.Color().setHSL(0.35, 0.6, 0.25 + random.next() * 0.15),
+      matrix: composeMatrix(
+        [spot.x, spot.y + 0.2, spot.z],
+        decalRotation(terrain, spot.x, spot.z, random.next() * Math.PI * 2),
+        [width, 1, depth]
+      )
+    });
+  }
+  root.add(shadowed(named("moss patch", createInstancedMesh(
+    createDecalGeometry(1, 1),
+    new THREE.MeshLambertMaterial({ transparent: true, opacity: 0.8 }),
+    mossPatches
+  )), { receive: true }));
+}
+
+// Where each tree stands and what it's made of, shared by every level of
+// detail: the tree's own transform, plus its trunk and foliage layers in tree
+// space
+function planTrees({ terrain, options, area, random: plotRandom }) {
+  const random = plotRandom.fork("trees");
+  const treeCount = (base) => Math.round(base * options.treeDensity);
+
+  // Create dense forest with multiple tree types
+  const large = [];
+  const medium = [];
+  const obstacles = [];
+  
+  // Large background trees (tall and distant)
+  for (let i = 0; i < treeCount(options.largeTrees); i++) {
+    const spot = scatter(terrain, random, "tree", area);
+    if (!spot) continue;
+
+    // Varied trunk sizes and colors, base at the tree's origin
+    const trunkRadius = 0.4 + random.next() * 0.6;
+    const trunkHeight = 6 + random.next() * 4;
+    const trunkColor = new THREE.Color().setHSL(0.08, 0.6 + random.next() * 0.3, 0.15 + random.next() * 0.2);
+    const trunkLocal = composeMatrix([0, trunkHeight / 2, 0], [0, 0, 0], [trunkRadius, trunkHeight, trunkRadius]);
+    
+    // Multiple foliage layers for fuller trees
+    const foliage = [];
+    const layerCount = 2 + Math.floor(random.next() * 2);
+    for (let layer = 0; layer < layerCount; layer++) {
+      const foliageRadius = 2.5 + random.next() * 2;
+      const foliageHue = 0.25 + random.next() * 0.15; // Green variety
+      const foliageColor = new THREE.Color().setHSL(
+        foliageHue,
+        0.6 + random.next() * 0.3,
+        0.3 + random.next() * 0.25
+      );
+      const opacity = 0.85 + random.next() * 0.15;
+      const position = [
+        random.spread(0.5),
+        3 + (layer * 1.5) + random.next() * 0.5,
+        random.spread(0.5)
+      ];
+      const scaleY = 0.8 + random.next() * 0.4; // Vary vertical scale
+      foliage.push({
+        color: foliageColor,
+        opacity,
+        local: composeMatrix(position, [0, 0, 0], [foliageRadius, foliageRadius * scaleY, foliageRadius])
+      });
+    }
+    
+    // Varied scale for depth, and a random rotation
+    const treeScale = 0.8 + random.next() * 0.6;
+    const treeY = spot.y - GROUND_SINK;
+    const treeMatrix = composeMatrix(
+      [spot.x, treeY, spot.z],
+      [0, random.next() * Math.PI * 2, 0],
+      treeScale
+    );
+    
+    large.push({
+      matrix: treeMatrix,
+      base: [spot.x, treeY, spot.z],
+      scale: treeScale,
+      trunk: { color: trunkColor, local: trunkLocal },
+      foliage
+    });
+    obstacles.push({
+      x: spot.x,
+      z: spot.z,
+      radius: trunkRadius * treeScale,
+      bottom: treeY,
+      top: treeY + trunkHeight * treeScale
+    });
+  }
+  
+  // Medium trees (foreground)
+  for (let i = 0; i < treeCount(options.mediumTrees); i++) {
+    const spot = scatter(terrain, random, "tree", area);
+    if (!spot) continue;
+
+    const trunkColor = new THREE.Color().setHSL(0.08, 0.5, 0.2 + random.next() * 0.15);
+    
+    // Bushier foliage
+    const foliageRadius = 1.8 + random.next() * 1;
+    const foliageColor = new THREE.Color().setHSL(0.3, 0.7, 0.35 + random.next() * 0.2);
+    
+    const treeY = spot.y - GROUND_SINK;
+    const treeMatrix = composeMatrix([spot.x, treeY, spot.z], [0, random.next() * Math.PI * 2, 0]);
+    
+    medium.push({
+      matrix: treeMatrix,
+      base: [spot.x, treeY, spot.z],
+      scale: 1,
+      trunk: { color: trunkColor, local: composeMatrix([0, 1.5, 0]) },
+      foliage: [{
+        color: foliageColor,
+        local: composeMatrix([0, 4.5, 0], [0, 0, 0], [foliageRadius, foliageRadius * 0.9, foliageRadius])
+      }]
+    });
+    obstacles.push({ x: spot.x, z: spot.z, radius: 0.35, bottom: treeY, top: treeY + 3 });
+  }
+
+  // Trunks double as obstacles for the firefly flock
+  return { large, medium, obstacles };
+}
+
+// Instances for one part (trunk or foliage layers) of a list of planned trees
+function treeInstances(trees, part) {
+  const instances = [];
+  trees.forEach((tree) => {
+    const pieces = part === "trunk" ? [tree.trunk] : tree.foliage;
+    pieces.forEach(({ color, opacity, local }) => {
+      instances.push({ color, opacity, matrix: tree.matrix.clone().multiply(local) });
+    });
+  });
+  return instances;
+}
+
+// Full detail, close to the camera: smooth, see-through canopies in the wind
+function createTrees({ root, wind }, { large, medium }) {
+  // Trunks also take the canopy's shadow; the canopies only cast, since
+  // self-shadowed spheres just speckle
+  const trunkShadows = { cast: true, receive: true };
+  const canopyShadows = { cast: true };
+  root.add(
+    shadowed(
+      named("large tree trunk", createInstancedMesh(
+        new THREE.CylinderGeometry(0.7, 1, 1, 8), new THREE.MeshLambertMaterial(), treeInstances(large, "trunk")
+      )),
+      trunkShadows
+    ),
+    shadowed(applyWind(
+      named("large tree canopy", createInstancedMesh(
+        new THREE.SphereGeometry(1, 12, 8),
+        enableInstanceOpacity(new THREE.MeshLambertMaterial()),
+        treeInstances(large, "foliage")
+      )),
+      wind,
+      "canopy"
+    ), canopyShadows),
+    shadowed(
+      named("medium tree trunk", createInstancedMesh(
+        new THREE.CylinderGeometry(0.25, 0.35, 3, 6), new THREE.MeshLambertMaterial(), treeInstances(medium, "trunk")
+      )),
+      trunkShadows
+    ),
+    shadowed(applyWind(
+      named("medium tree canopy", createInstancedMesh(
+        new THREE.SphereGeometry(1, 10, 6), new THREE.MeshLambertMaterial(), treeInstances(medium, "foliage")
+      )),
+      wind,
+      "canopy"
+    ), canopyShadows)
+  );
+}
+
+// Mid distance: both tree types in one low-poly trunk mesh and one opaque,
+// still canopy mesh. The medium trunk is the large one's cylinder scaled down.
+const MEDIUM_TRUNK_LOCAL = composeMatrix([0, 1.5, 0], [0, 0, 0], [0.35, 3, 0.35]);
+
+function createSimpleTrees({ root }, { large, medium }) {
+  const trunks = [
+    ...treeInstances(large, "trunk"),
+    ...medium.map(({ matrix, trunk }) => ({ color: trunk.color, matrix: matrix.clone().multiply(MEDIUM_TRUNK_LOCAL) }))
+  ];
+  const canopies = [...treeInstances(large, "foliage"), ...treeInstances(medium, "foliage")];
+  root.add(
+    shadowed(named("tree trunk", createInstancedMesh(
+      new THREE.CylinderGeometry(0.7, 1, 1, 5), new THREE.MeshLambertMaterial(), trunks
+    )), { cast: true }),
+    shadowed(named("tree canopy", createInstancedMesh(
+      new THREE.SphereGeometry(1, 6, 4), new THREE.MeshLambertMaterial(), canopies
+    )), { cast: true })
+  );
+}
+
+// One full-detail tree of each type, standing on the origin, for the impostor
+// atlas: cell 0 is the large tree and cell 1 the medium one
+function createTreePrototypes() {
+  const trunkMaterial = new THREE.MeshLambertMaterial({ color: new THREE.Color().setHSL(0.08, 0.6, 0.25) });
+  const leafMaterial = new THREE.MeshLambertMaterial({ color: new THREE.Color().setHSL(0.3, 0.65, 0.4) });
+
+  const large = new THREE.Group();
+  const largeTrunk = new THREE.Mesh(new THREE.CylinderGeometry(0.7, 1, 1, 8), trunkMaterial);
+  largeTrunk.applyMatrix4(composeMatrix([0, 4, 0], [0, 0, 0], [0.7, 8, 0.7]));
+  large.add(largeTrunk);
+  [[0, 3.5, 3.5], [0.2, 5, 3.2], [-0.1, 6.5, 2.8]].forEach(([x, y, radius]) => {
+    const layer = new THREE.Mesh(new THREE.SphereGeometry(1, 12, 8), leafMaterial);
+    layer.applyMatrix4(composeMatrix([x, y, 0], [0, 0, 0], [radius, radius * 0.9, radius]));
+    large.add(layer);
+  });
+
+  const medium = new THREE.Group();
+  medium.add(new THREE.Mesh(new THREE.CylinderGeometry(0.25, 0.35, 3, 6), trunkMaterial));
+  medium.children[0].position.y = 1.5;
+  const crown = new THREE.Mesh(new THREE.SphereGeometry(1, 10, 6), leafMaterial);
+  crown.applyMatrix4(composeMatrix([0, 4.5, 0], [0, 0, 0], [2.3, 2.1, 2.3]));
+  medium.add(crown);
+
+  return [large, medium];
+}
+
+// Far away: one camera-facing quad per tree, tinted a little per tree
+function createTreeImpostors({ root, impostors }, { large, medium }) {
+  const shade = (tree) => new THREE.Color().setScalar(0.75 + 0.5 * tree.foliage[0].color.getHSL({}).l);
+  root.add(named("tree impostor", createImpostorMesh(impostors, [
+    ...large.map((tree) => ({ cell: 0, position: tree.base, scale: tree.scale, color: shade(tree) })),
+    ...medium.map((tree) => ({ cell: 1, position: tree.base, scale: tree.scale, color: shade(tree) }))
+  ])));
+}
+
+function createGrassBlades({ root, terrain, wind, undergrowth, options, area, random: plotRandom }) {
+  const random = plotRandom.fork("grass");
+
+  // Create dense grass coverage with multiple blade types
+  const bladeTypes = [
+    { name: "short grass blade", height: 1.5, geometry: new THREE.PlaneGeometry(0.3, 1.5), blades: [] },
+    { name: "grass blade", height: 2.5, geometry: new THREE.PlaneGeometry(0.5, 2.5), blades: [] },
+    { name: "tall grass blade", height: 3, geometry: new THREE.PlaneGeometry(0.7, 3), blades: [] }
+  ];
+  
+  // Dense grass coverage
+  for (let i = 0; i < options.grassBlades; i++) {
+    const spot = scatter(terrain, random, "grass", area);
+    if (!spot) continue;
+    const bladeType = random.pick(bladeTypes);
+    const grassHue = 0.25 + random.next() * 0.15;
+    bladeType.blades.push({
+      color: new THREE.Color().setHSL(grassHue, 0.6 + random.next() * 0.3, 0.25 + random.next() * 0.3),
+      opacity: 0.6 + random.next() * 0.3,
+      // Rooted at the ground rather than centred on it
+      matrix: composeMatrix(
+        [spot.x, spot.y + bladeType.height / 2 - GROUND_SINK, spot.z],
+        [0, random.next() * Math.PI * 2, random.spread(0.4)]
+      )
+    });
+  }
+  
+  bladeTypes.forEach(({ name, geometry, blades }) => {
+    const material = enableInstanceOpacity(new THREE.MeshLambertMaterial({ side: THREE.DoubleSide }));
+    const mesh = shadowed(applyWind(named(name, createInstancedMesh(geometry, material, blades)), wind, "grass"), { receive: true });
+    undergrowth.push(mesh);
+    root.add(mesh);
+  });
+}
+
+function createBushesAndShrubs({ root, terrain, wind, undergrowth, options, area, random: plotRandom }) {
+  const random = plotRandom.fork("bushes");
+
+  // Add bushes and shrubs for more forest density
+  const bushes = [];
+  const smallBushes = [];
+  for (let i = 0; i < options.bushes; i++) {
+    const spot = scatter(terrain, random, "bush", area);
+    if (!spot) continue;
+    const bushMatrix = composeMatrix(
+      [spot.x, spot.y - GROUND_SINK, spot.z],
+      [0, random.next() * Math.PI * 2, 0]
+    );
+    
+    // Main bush body, flattened slightly and half sunk into the ground
+    const bushRadius = 0.8 + random.next() * 0.7;
+    const bushColor = new THREE.Color().setHSL(0.3, 0.6 + random.next() * 0.2, 0.25 + random.next() * 0.2);
+    const flatten = 0.6 + random.next() * 0.3;
+    bushes.push({
+      color: bushColor,
+      matrix: bushMatrix.clone().multiply(
+        composeMatrix([0, bushRadius * flatten * 0.5, 0], [0, 0, 0], [bushRadius, bushRadius * flatten, bushRadius])
+      )
+    });
+    
+    // Add smaller bush parts for complexity
+    if (random.next() > 0.5) {
+      const smallRadius = 0.4 + random.next() * 0.3;
+      const offsetX = random.spread(1.5);
+      const offsetZ = random.spread(1.5);
+      // Follow the ground under the offset part too
+      const ground = terrain.heightAt(spot.x + offsetX, spot.z + offsetZ) - spot.y;
+      smallBushes.push({
+        color: bushColor,
+        matrix: bushMatrix.clone().multiply(
+          composeMatrix(
+            [offsetX, ground + smallRadius * 0.5 + random.next() * 0.5, offsetZ],
+            [0, 0, 0],
+            smallRadius
+          )
+        )
+      });
+    }
+  }
+  
+  // Bushes rustle like small canopies
+  const meshes = [
+    named("bush", createInstancedMesh(new THREE.SphereGeometry(1, 8, 6), new THREE.MeshLambertMaterial(), bushes)),
+    named("bush sprig", createInstancedMesh(new THREE.SphereGeometry(1, 6, 4), new THREE.MeshLambertMaterial(), smallBushes))
+  ].map((mesh) => shadowed(applyWind(mesh, wind, "canopy"), { cast: true, receive: true }));
+  undergrowth.push(...meshes);
+  root.add(...meshes);
+}
+
+function createFerns({ root, terrain, wind, undergrowth, options, area, random: plotRandom }) {
+  const random = plotRandom.fork("ferns");
+
+  // Add ferns for forest undergrowth
+  const fronds = [];
+  for (let i = 0; i < options.ferns; i++) {
+    const spot = scatter(terrain, random, "fern", area);
+    if (!spot) continue;
+    const fernMatrix = composeMatrix([spot.x, spot.y - GROUND_SINK, spot.z]);
+    
+    // Fern fronds, rooted at the ground
+    const frondCount = 3 + Math.floor(random.next() * 4);
+    for (let j = 0; j < frondCount; j++) {
+      const frondLength = 2 + random.next() * 1;
+      const fernColor = new THREE.Color().setHSL(0.35, 0.7, 0.2 + random.next() * 0.15);
+      const position = [0, frondLength / 2 + random.next() * 0.5, 0];
+      const rotationY = (j / frondCount) * Math.PI * 2 + random.next() * 0.5;
+      const rotationZ = random.spread(0.3);
+      const rotationX = random.next() * 0.2;
+      
+      fronds.push({
+        color: fernColor,
+        matrix: fernMatrix.clone().multiply(
+          composeMatrix(position, [rotationX, rotationY, rotationZ], [1, frondLength, 1])
+        )
+      });
+    }
+  }
+  
+  const mesh = shadowed(applyWind(
+    named("fern frond", createInstancedMesh(
+      new THREE.PlaneGeometry(0.8, 1),
+      new THREE.MeshLambertMaterial({ transparent: true, opacity: 0.8, side: THREE.DoubleSide }),
+      fronds
+    )),
+    wind,
+    "fern"
+  ), { receive: true });
+  undergrowth.push(mesh);
+  root.add(mesh);
+}
+
+// One streamed chunk: its own terrain patch and tree plan, and the detail
+// group for its current level - full vegetation close up, simplified trees
+// (and the ground decals) in the middle distance, impostors beyond
+const CHUNK_LEVELS = ["near", "mid", "far"];
+
+function createChunk(world, cx, cz, area, level) {
+  const { root, terrain, random } = world;
+  const group = new THREE.Group();
+  group.name = `chunk ${cx},${cz}`;
+  const segments = Math.ceil((terrain.params.segments * area.size) / terrain.params.size);
+
+  const ground = shadowed(
+    terrain.createMesh({ centerX: area.centerX, centerZ: area.centerZ, size: area.size, segments }),
+    { receive: true }
+  );
+  group.add(ground);
+  root.add(group);
+
+  const chunk = { label: `chunk-${cx},${cz}`, area, group, ground, detail: null, undergrowth: [] };
+  chunk.trees = planTrees({ ...world, area, random: random.fork(chunk.label) });
+  world.flock.addObstacles(chunk.trees.obstacles);
+  setChunkLevel(world, chunk, level);
+  return chunk;
+}
+
+// Grows a chunk's plants for `level` under `root` and returns its undergrowth.
+// A fresh stream each time, so a chunk looks the same whenever it comes back
+// to a level (or is exported), and the decals match between near and mid.
+function growChunk(world, chunk, level, root) {
+  const random = world.random.fork(`${chunk.label}:detail`);
+  const plot = { ...world, root, area: chunk.area, random, undergrowth: [] };
+  if (level === 0) {
+    createForestFloor(plot);
+    createTrees(plot, chunk.trees);
+    createGrassBlades(plot);
+    createBushesAndShrubs(plot);
+    createFerns(plot);
+  } else if (level === 1) {
+    createForestFloor(plot);
+    createSimpleTrees(plot, chunk.trees);
+  } else {
+    createTreeImpostors(plot, chunk.trees);
+  }
+  return plot.undergrowth;
+}
+
+function setChunkLevel(world, chunk, level) {
+  if (chunk.detail) {
+    chunk.group.remove(chunk.detail);
+    disposeObject(chunk.detail);
+  }
+
+  const detail = new THREE.Group();
+  detail.name = CHUNK_LEVELS[level];
+  chunk.undergrowth = growChunk(world, chunk, level, detail);
+  cullByChunk(detail, chunk.area, world.terrain);
+  chunk.detail = detail;
+  chunk.group.add(detail);
+}
+
+function disposeChunk(world, chunk) {
+  world.root.remove(chunk.group);
+  disposeObject(chunk.group);
+  world.flock.removeObstacles(chunk.trees.obstacles);
+}
+
+// Instanced meshes normally skip culling (see createInstancedMesh); within a
+// chunk every instance is inside one sphere around it, so off-screen chunks
+// drop out of both the main and the shadow passes
+function cullByChunk(group, { centerX, centerZ, size }, terrain) {
+  const center = new THREE.Vector3(centerX, terrain.params.baseHeight, centerZ);
+  const radius = Math.hypot(size * Math.SQRT1_2, terrain.params.amplitude + 15);
+  group.traverse((child) => {
+    if (child.isInstancedMesh) {
+      child.geometry.boundingSphere = new THREE.Sphere(center, radius);
+      child.frustumCulled = true;
+    }
+  });
+}
+
+// What a glTF export can pick from, and the parts of an imported layout that
+// replace the procedural ones
+const FOREST_LAYERS = ["terrain", "vegetation", "fireflies", "lights"];
+const LAYOUT_PARTS = ["terrain", "vegetation"];
+
+const _box = new THREE.Box3();
+const _bounds = new THREE.Box3();
+const _center = new THREE.Vector3();
+const _shift = new THREE.Vector3();
+
+// How quickly the flock's bounds catch up with the chunk the camera is in
+const FLOCK_FOLLOW_RATE = 0.5;
+
+// Eases the flock's bounds over the middle of the chunk at (x, z), so the swarm
+// travels with the streamed forest rather than staying in the first chunks
+function followFocus(flock, x, z, chunkSize, delta) {
+  const { bounds } = flock.params;
+  bounds.getCenter(_center);
+  _shift.set(
+    (Math.floor(x / chunkSize) + 0.5) * chunkSize - _center.x,
+    0,
+    (Math.floor(z / chunkSize) + 0.5) * chunkSize - _center.z
+  );
+  if (_shift.lengthSq() < 0.0001) return;
+  _shift.multiplyScalar(1 - Math.exp(-FLOCK_FOLLOW_RATE * delta));
+  flock.setParams({ bounds: _bounds.copy(bounds).translate(_shift) });
+}
+
+// A layout's trunks, found by name, as flock obstacles. The loader turns the
+// spaces in "large tree trunk 12" into underscores.
+function layoutObstacles(object) {
+  const obstacles = [];
+  object.updateMatrixWorld(true);
+  object.traverse((child) => {
+    if (!child.isMesh || !/tree[ _]trunk/.test(child.name)) return;
+    _box.setFromObject(child);
+    obstacles.push({
+      x: (_box.min.x + _box.max.x) / 2,
+      z: (_box.min.z + _box.max.z) / 2,
+      radius: Math.max(_box.max.x - _box.min.x, _box.max.z - _box.min.z) / 2,
+      bottom: _box.min.y,
+      top: _box.max.y,
+    });
+  });
+  return obstacles;
+}
+
+// Copies of the light rig for export. glTF has no ambient lights, and points
+// directional ones down their own -z rather than at a target.
+function exportLights(lights) {
+  return Object.values(lights)
+    .filter((light) => !light.isAmbientLight)
+    .map((light) => {
+      const copy = light.clone();
+      if (light.isDirectionalLight) {
+        copy.lookAt(light.target.position);
+        copy.target = new THREE.Object3D();
+        copy.target.position.set(0, 0, -1);
+        copy.add(copy.target);
+      }
+      return copy;
+    });
+}
+
+function setShadowMapSize(light, size) {
+  if (light.shadow.mapSize.width === size) return;
+  light.shadow.mapSize.set(size, size);
+  // The renderer only reallocates the map once the old one is gone
+  if (light.shadow.map) {
+    light.shadow.map.dispose();
+    light.shadow.map = null;
+  }
+}
+
+export function createForestTheme() {
+  let context = null;
+  let world = null;
+  let lights = null;
+  let dayNight = null;
+  let streamer = null;
+  let sunShadow = null;
+  let quality = null;
+  // { gltf, object, area, obstacles } while an imported layout stands in for the chunks
+  let layout = null;
+  let unsubscribe = [];
+  // Bumped by every respawn and by dispose, so a GLB that arrives late only
+  // spawns into the swarm that asked for it
+  let generation = 0;
+
+  const state = { night: 1, fireflies: 1, fogDensity: 0, ambience: 1 };
+
+  // The registry retries firefly.glb and resolves with null once it gives up
+  function spawnFireflies() {
+    const { assets, interaction, soundscape } = context;
+    const spawn = generation;
+    assets.get("firefly").then((gltf) => {
+      if (spawn !== generation) return;
+      if (gltf) {
+        createGlbFireflies(world, gltf);
+      } else {
+        createFallbackFireflies(world);
+      }
+      world.fireflies.forEach((firefly) => interaction.add(firefly));
+      if (soundscape) {
+        soundscape.setSources(world.fireflies);
+      }
+    });
+  }
+
+  function releaseFireflies() {
+    const { interaction, soundscape } = context;
+    generation++;
+    world.fireflies.forEach((firefly) => {
+      interaction.remove(firefly);
+      if (firefly.userData.animator) {
+        firefly.userData.animator.dispose();
+      }
+    });
+    if (soundscape) {
+      soundscape.setSources([]);
+    }
+  }
+
+  function thinUndergrowth(chunk) {
+    if (quality) {
+      chunk.undergrowth.forEach((mesh) => setInstanceDensity(mesh, quality.vegetation));
+    }
+    return chunk;
+  }
+
+  // Fills the whole reach at once, so nothing pops in around a fresh forest
+  function fillChunks() {
+    if (layout) return;
+    const { camera } = context;
+    streamer.update(camera.position.x, camera.position.z, Infinity);
+  }
+
+  function clearLayout() {
+    if (!layout) return;
+    world.root.remove(layout.object);
+    disposeObject(layout.object, { textures: true });
+    world.flock.removeObstacles(layout.obstacles);
+    layout = null;
+  }
+
+  const theme = {
+    name: "forest",
+    label: "forest",
+    cameraKeyframes: CAMERA_KEYFRAMES,
+    layers: FOREST_LAYERS,
+
+    // See createThemeSwitcher for what the context holds
+    build(themeContext) {
+      context = themeContext;
+      const { scene, camera, renderer, random, shared, interaction } = context;
+      const options = { ...DEFAULT_FOREST_OPTIONS, ...context.options };
+      const root = new THREE.Group();
+      root.name = "forest";
+      scene.add(root);
+
+      // Terrain - heightmap ground; vegetation and the flock query its height
+      const terrain = createTerrain({ random: random.fork("terrain") });
+      const prototypes = createTreePrototypes();
+      world = {
+        root,
+        random,
+        options,
+        palette: resolvePalette(options.palette),
+        terrain,
+        // Wind - grass, fronds and canopies are tagged as they're built and
+        // sway in the shader
+        wind: createWind(),
+        // Distant trees, baked from one tree of each type
+        impostors: bakeImpostorAtlas(renderer, prototypes),
+        fireflies: [],
+        flock: createFlock({ random: random.fork("flocking"), groundAt: terrain.heightAt }),
+        flashSync: createFlashSync({ random: random.fork("flashing") }),
+      };
+
+      prototypes.forEach((prototype) => disposeObject(prototype));
+      lights = createLights(root);
+
+      // Sun shadows over the ground in front of the camera
+      sunShadow = createSunShadow(lights.sun, camera, { groundAt: terrain.heightAt });
+
+      // Day/night cycle - real local time by default, see skyClockFromUrl for
+      // the ?time= and ?timeSpeed= overrides
+      dayNight = createDayNightCycle({
+        scene,
+        clock: skyClockFromUrl(),
+        lights,
+        moon: shared.moon,
+        sky: shared.sky
+      });
+
+      // Initialize dense forest environment, streamed in chunks around the
+      // camera. Grass, bushes and ferns (each chunk's undergrowth) are thinned
+      // out on lower quality tiers; trees and decals always draw in full,
+      // since trunks are flock obstacles and the decals are cheap.
+      streamer = createChunkStreamer({
+        builder: {
+          create: (cx, cz, area, level) => thinUndergrowth(createChunk(world, cx, cz, area, level)),
+          setLevel: (chunk, level) => {
+            setChunkLevel(world, chunk, level);
+            thinUndergrowth(chunk);
+          },
+          dispose: (chunk) => disposeChunk(world, chunk),
+        },
+      });
+      fillChunks();
+      spawnFireflies();
+
+      // Clicking a firefly flashes it and scatters the ones around it;
+      // clicking the moon flashes the whole swarm at once
+      const { fireflies, flock, flashSync } = world;
+      unsubscribe.push(interaction.on("click", ({ object, point }) => {
+        if (object === shared.moon) {
+          fireflies.forEach((firefly) => flashSync.trigger(firefly));
+        } else if (fireflies.includes(object)) {
+          flashSync.trigger(object);
+          flock.scatter(fireflies, point);
+        }
+      }));
+    },
+
+    groundAt(x, z) {
+      return world ? world.terrain.heightAt(x, z) : -Infinity;
+    },
+
+    // Free explore stays over the chunks streamed in so far, or the layout
+    exploreArea() {
+      return layout ? layout.area : streamer.loadedArea();
+    },
+
+    // The clips authored in firefly.glb, empty for the fallback swarm or
+    // before the model has loaded
+    listClips() {
+      return listSwarmClips(world.fireflies);
+    },
+
+    // Crossfades the whole swarm to one clip, or back to every clip at once
+    // with null
+    playClip(name = null, duration = 0.5) {
+      if (name === null) {
+        playAllSwarmClips(world.fireflies);
+      } else {
+        crossFadeSwarm(world.fireflies, name, duration);
+      }
+    },
+
+    setQuality(settings) {
+      quality = settings;
+      // Near and mid detail stay two rings deep; the tier sets how far the
+      // impostors reach
+      streamer.setParams({ levels: [1, 2, Math.max(2, settings.chunkRadius)] });
+      streamer.chunks.forEach(({ data }) => thinUndergrowth(data));
+      setShadowMapSize(lights.sun, settings.shadowMapSize);
+    },
+
+    // Changes DEFAULT_FOREST_OPTIONS values on the live forest: respawns the
+    // swarm for a new count or palette, regrows the vegetation for anything else
+    setOptions(values) {
+      const changed = Object.keys(values).filter((key) => values[key] !== world.options[key]);
+      Object.assign(world.options, values);
+
+      if (changed.some((key) => FIREFLY_OPTIONS.includes(key))) {
+        world.palette = resolvePalette(world.options.palette);
+        releaseFireflies();
+        world.fireflies.forEach((firefly) => {
+          world.root.remove(firefly);
+          disposeObject(firefly);
+        });
+        world.fireflies.length = 0;
+        spawnFireflies();
+      }
+      if (changed.some((key) => !FIREFLY_OPTIONS.includes(key))) {
+        clearLayout();
+        streamer.clear();
+        fillChunks();
+      }
+    },
+
+    // A new group holding one of `layers`, for a glTF export. The vegetation
+    // is grown again at full detail for every loaded chunk, whatever level
+    // it's drawn at; with a layout imported, the layout's own terrain and
+    // vegetation go out instead.
+    exportLayer(name) {
+      const group = new THREE.Group();
+      group.name = name;
+      const part = layout && layout.object.children.find((child) => child.name === name);
+      if (part) {
+        group.add(...part.children.map((child) => child.clone()));
+      } else if (name === "terrain" && !layout) {
+        streamer.chunks.forEach(({ cx, cz, data }) => {
+          const ground = data.ground.clone();
+          ground.name = `terrain ${cx},${cz}`;
+          group.add(ground);
+        });
+      } else if (name === "vegetation" && !layout) {
+        streamer.chunks.forEach(({ cx, cz, data }) => {
+          const plot = new THREE.Group();
+          plot.name = `chunk ${cx},${cz}`;
+          growChunk(world, data, 0, plot);
+          group.add(plot);
+        });
+      } else if (name === "fireflies") {
+        group.add(...world.fireflies.map((firefly) => cloneAnimatedModel(firefly)));
+      } else if (name === "lights") {
+        group.add(...exportLights(lights));
+      }
+      return group;
+    },
+
+    // Swaps the procedural ground and plants for a layout from glTF, such as
+    // an export tidied up in Blender: its "terrain" and "vegetation" nodes, or
+    // the whole scene as vegetation if it has neither. Trunks become the
+    // flock's obstacles; the flock and camera still follow the procedural
+    // ground height.
+    importLayout(gltf) {
+      clearLayout();
+      streamer.clear();
+
+      const object = new THREE.Group();
+      object.name = "layout";
+      // Copies, leaving the glTF as it came for importing again
+      const parts = gltf.scene.children.filter((child) => LAYOUT_PARTS.includes(child.name));
+      if (parts.length) {
+        object.add(...parts.map((part) => part.clone()));
+      } else {
+        const vegetation = gltf.scene.clone();
+        vegetation.name = "vegetation";
+        object.add(vegetation);
+      }
+      // Without ground of its own, the layout stands on the procedural one
+      if (!object.children.some((child) => child.name === "terrain")) {
+        const ground = new THREE.Group();
+        ground.name = "terrain";
+        ground.add(world.terrain.createMesh());
+        object.add(ground);
+      }
+      object.traverse((child) => {
+        if (child.isMesh) {
+          child.castShadow = /tree|bush/.test(child.name);
+          child.receiveShadow = true;
+        }
+      });
+      world.root.add(object);
+
+      _box.setFromObject(object);
+      const area = { minX: _box.min.x, maxX: _box.max.x, minZ: _box.min.z, maxZ: _box.max.z };
+      layout = { gltf, object, area, obstacles: layoutObstacles(object) };
+      world.flock.addObstacles(layout.obstacles);
+    },
+
+    // The glTF behind the layout in place, or null for the procedural forest
+    get importedLayout() {
+      return layout ? layout.gltf : null;
+    },
+
+    // Back to the procedural forest after importLayout
+    clearLayout() {
+      clearLayout();
+      fillChunks();
+    },
+
+    // Parameter sections for the tuning panel, see tuning.js
+    tuning() {
+      const { options, flock, flashSync, wind } = world;
+      const { clock } = dayNight;
+      const count = (max) => [0, max, 1];
+      return [
+        {
+          name: "forest",
+          params: options,
+          setParams: theme.setOptions,
+          rebuilds: true,
+          ranges: {
+            fireflyCount: count(60),
+            treeDensity: [0, 3],
+            palette: Object.keys(PALETTES),
+            grassPatches: count(30),
+            mossPatches: count(30),
+            largeTrees: count(30),
+            mediumTrees: count(40),
+            grassBlades: count(300),
+            bushes: count(60),
+            ferns: count(80),
+          },
+        },
+        {
+          name: "chunks",
+          params: streamer.params,
+          setParams: (values) => {
+            streamer.setParams(values);
+            fillChunks();
+          },
+          rebuilds: true,
+          ranges: { size: [10, 100, 5], keep: count(3), buildsPerFrame: [1, 8, 1] },
+        },
+        {
+          name: "time",
+          params: { hour: clock.hour, speed: clock.speed },
+          // Either one moves the clock off real time, so only when it changes
+          setParams: ({ hour, speed }) => {
+            if (speed !== undefined && speed !== clock.speed) clock.setSpeed(speed);
+            if (hour !== undefined && hour !== clock.hour) clock.setHour(hour);
+          },
+          ranges: { hour: [0, 24, 0.1], speed: [0, 3600, 1] },
+          // Where the clock is now, not a setting to bring back
+          unsaved: ["hour"],
+        },
+        { name: "sky", params: dayNight.params, setParams: dayNight.setParams, ranges: {} },
+        {
+          name: "flock",
+          params: flock.params,
+          setParams: flock.setParams,
+          ranges: {},
+          // The terrain is the ground here
+          hidden: ["groundY"],
+        },
+        {
+          name: "flashing",
+          params: flashSync.params,
+          setParams: flashSync.setParams,
+          ranges: { pattern: Object.keys(FLASH_PATTERNS), duty: [0, 1], baseline: [0, 1] },
+          // Follows the dusk every frame
+          hidden: ["intensity"],
+        },
+        {
+          name: "wind",
+          params: wind.params,
+          setParams: wind.setParams,
+          ranges: { direction: [-Math.PI, Math.PI] },
+        },
+        {
+          name: "shadows",
+          params: sunShadow.params,
+          setParams: sunShadow.setParams,
+          ranges: { bias: [-0.005, 0.005, 0.0001], normalBias: [0, 0.2] },
+        },
+      ];
+    },
+
+    // Returns what the soundscape needs to know about the scene
+    update(delta) {
+      const { fireflies, flock, flashSync, wind } = world;
+
+      // Fireflies only come out after dusk
+      const sky = dayNight.update(delta);
+      flashSync.setParams({ intensity: sky.fireflies });
+      fireflies.forEach((firefly) => {
+        firefly.visible = sky.fireflies > 0.01;
+      });
+
+      // Shadow maps only for lights that are on, and only where the tier
+      // affords them
+      const { sun, moonlight } = lights;
+      sun.castShadow = Boolean(quality && quality.shadows) && sun.intensity > 0.01;
+      moonlight.castShadow = Boolean(quality && quality.moonShadows) && moonlight.intensity > 0.01;
+      sunShadow.update();
+
+      // Chunks follow the camera, a build or two per frame, and the flock's
+      // bounds follow the chunks
+      const { camera } = context;
+      if (!layout) {
+        streamer.update(camera.position.x, camera.position.z);
+      }
+      followFocus(flock, camera.position.x, camera.position.z, streamer.params.size, delta);
+
+      // Fireflies steer as a flock around each other, the trunks and the ground
+      flock.update(fireflies, delta);
+
+      updateSwarmAnimations(fireflies, delta);
+
+      // Coupled oscillators pull neighbouring fireflies into blinking together
+      flashSync.update(fireflies, delta);
+
+      wind.update(delta);
+
+      state.night = sky.night;
+      state.fireflies = sky.fireflies;
+      state.fogDensity = context.scene.fog.density;
+      return state;
+    },
+
+    dispose() {
+      const { scene } = context;
+      unsubscribe.forEach((off) => off());
+      unsubscribe = [];
+      releaseFireflies();
+      clearLayout();
+      streamer.dispose();
+      world.impostors.dispose();
+      dayNight.dispose();
+      scene.fog = null;
+      scene.remove(world.root);
+      disposeObject(world.root);
+      world = null;
+      streamer = null;
+      sunShadow = null;
+      context = null;
+    },
+  };
+
+  return theme;
+}
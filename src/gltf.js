@@ -0,0 +1,133 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
+
+// glTF out and back in. Exports are binary .glb through GLTFExporter, which
+// knows nothing of instancing or of materials outside the standard PBR ones,
+// so the objects are copied for it first: every instanced mesh becomes a group
+// of plain meshes named after it and numbered ("fern frond 12"), with each
+// instance's color and opacity folded into a MeshStandardMaterial of its own.
+// Anything drawn by a custom shader (impostors, the sky) is left out.
+
+const _matrix = new THREE.Matrix4();
+const _color = new THREE.Color();
+const _white = new THREE.Color(0xffffff);
+
+function isExportable(material) {
+  return material.isMeshStandardMaterial || material.isMeshBasicMaterial;
+}
+
+function isShaded(object) {
+  return object.isPoints || (object.material && (object.material.isShaderMaterial || object.material.isRawShaderMaterial));
+}
+
+// Whether anything under `object` has to be copied before export
+function needsCopy(object) {
+  let found = false;
+  object.traverse((child) => {
+    found = found || child.isInstancedMesh || isShaded(child) || (child.isMesh && !isExportable(child.material));
+  });
+  return found;
+}
+
+// The same look as a standard material, with `color` and `opacity` on top;
+// materials are shared between meshes that end up looking alike
+function standardMaterial(material, color, opacity, cache) {
+  if (isExportable(material) && color.equals(_white) && opacity === 1) {
+    return material;
+  }
+  const key = `${material.uuid}:${color.getHexString()}:${opacity.toFixed(3)}`;
+  if (!cache.has(key)) {
+    cache.set(key, new THREE.MeshStandardMaterial({
+      name: material.name,
+      color: (material.color ? material.color.clone() : new THREE.Color(0xffffff)).multiply(color),
+      emissive: material.emissive ? material.emissive.clone() : 0x000000,
+      emissiveIntensity: material.emissiveIntensity === undefined ? 1 : material.emissiveIntensity,
+      map: material.map || null,
+      vertexColors: material.vertexColors,
+      transparent: material.transparent || opacity < 1,
+      opacity: material.opacity * opacity,
+      side: material.side,
+      roughness: material.roughness === undefined ? 1 : material.roughness,
+      metalness: material.metalness === undefined ? 0 : material.metalness,
+    }));
+  }
+  return cache.get(key);
+}
+
+function copyTransform(from, to) {
+  to.name = from.name;
+  to.position.copy(from.position);
+  to.quaternion.copy(from.quaternion);
+  to.scale.copy(from.scale);
+  return to;
+}
+
+function unpackInstances(mesh, cache) {
+  const group = copyTransform(mesh, new THREE.Group());
+  // Per-instance opacity lives on the geometry, one value per instance, which
+  // the exporter would take for a vertex attribute
+  const opacities = mesh.geometry.getAttribute("instanceOpacity");
+  const geometry = mesh.geometry.clone();
+  geometry.deleteAttribute("instanceOpacity");
+
+  for (let i = 0; i < mesh.count; i++) {
+    mesh.getMatrixAt(i, _matrix);
+    if (mesh.instanceColor) {
+      mesh.getColorAt(i, _color);
+    } else {
+      _color.copy(_white);
+    }
+    const opacity = opacities ? opacities.getX(i) : 1;
+    const instance = new THREE.Mesh(geometry, standardMaterial(mesh.material, _color, opacity, cache));
+    instance.name = `${mesh.name || "instance"} ${i + 1}`;
+    _matrix.decompose(instance.position, instance.quaternion, instance.scale);
+    group.add(instance);
+  }
+  return group;
+}
+
+// A copy the exporter can take, or the object itself when it already can
+function copyForExport(object, cache) {
+  if (isShaded(object)) return null;
+  if (!needsCopy(object)) return object;
+  if (object.isInstancedMesh) return unpackInstances(object, cache);
+
+  const copy = object.isMesh
+    ? copyTransform(object, new THREE.Mesh(object.geometry, standardMaterial(object.material, _white, 1, cache)))
+    : object.clone(false);
+  object.children.forEach((child) => {
+    const childCopy = copyForExport(child, cache);
+    if (childCopy) {
+      // Objects passed through as they are must not be taken from the scene
+      copy.add(childCopy === child ? child.clone() : childCopy);
+    }
+  });
+  return copy;
+}
+
+// objects: the top-level nodes of the file. Resolves to a .glb Blob.
+export function exportGlb(objects) {
+  const cache = new Map();
+  const copies = objects.map((object) => copyForExport(object, cache)).filter(Boolean);
+  return new Promise((resolve) => {
+    new GLTFExporter().parse(
+      copies,
+      (glb) => resolve(new Blob([glb], { type: "model/gltf-binary" })),
+      // Fireflies are hidden by day, but belong in the file all the same
+      { binary: true, onlyVisible: false }
+    );
+  });
+}
+
+// source: a URL or a File. Resolves to the loaded glTF ({ scene, ... }).
+// The loader turns spaces in names into underscores.
+export function loadGlb(source) {
+  const loader = new GLTFLoader();
+  if (typeof source === "string") {
+    return loader.loadAsync(source);
+  }
+  return source.arrayBuffer().then((buffer) => new Promise((resolve, reject) => {
+    loader.parse(buffer, "", resolve, reject);
+  }));
+}
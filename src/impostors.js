@@ -0,0 +1,124 @@
+import * as THREE from "three";
+
+// Billboard impostors: distant trees drawn as one textured quad each instead
+// of their geometry. bakeImpostorAtlas renders each prototype once, side on,
+// into its own cell of a texture; createImpostorMesh draws them as an
+// InstancedMesh whose quads turn about their vertical axis to face the camera.
+
+const _box = new THREE.Box3();
+const _size = new THREE.Vector3();
+const _clearColor = new THREE.Color();
+
+// prototypes: objects standing on their origin. Returns { texture, cells, dispose }
+// where each cell has the world `extent` of its square and the `bottom` of the
+// prototype inside it, so a quad can be sized and seated to match.
+export function bakeImpostorAtlas(renderer, prototypes, { cellSize = 256, background = 0x1a2a1a } = {}) {
+  const target = new THREE.WebGLRenderTarget(cellSize * prototypes.length, cellSize, {
+    generateMipmaps: true,
+    minFilter: THREE.LinearMipmapLinearFilter,
+  });
+  target.scissorTest = true;
+
+  // Flat, even light: the billboards are lit again by the scene they stand in
+  const studio = new THREE.Scene();
+  const front = new THREE.DirectionalLight(0xffffff, 0.4);
+  front.position.set(0.3, 0.6, 1);
+  studio.add(new THREE.AmbientLight(0xffffff, 0.8), front);
+
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+  const previousTarget = renderer.getRenderTarget();
+  const previousAlpha = renderer.getClearAlpha();
+  renderer.getClearColor(_clearColor);
+  // Transparent around the tree, but with a leafy colour so the mipmaps don't
+  // fringe the edges with black
+  renderer.setClearColor(background, 0);
+
+  const cells = prototypes.map((prototype, index) => {
+    _box.setFromObject(prototype);
+    _box.getSize(_size);
+    const extent = Math.max(_size.x, _size.y, _size.z);
+    const centerX = (_box.min.x + _box.max.x) / 2;
+
+    camera.left = centerX - extent / 2;
+    camera.right = centerX + extent / 2;
+    camera.bottom = _box.min.y;
+    camera.top = _box.min.y + extent;
+    camera.position.set(0, 0, extent + _box.max.z);
+    camera.far = extent * 2 + _box.max.z - _box.min.z;
+    camera.updateProjectionMatrix();
+
+    target.viewport.set(index * cellSize, 0, cellSize, cellSize);
+    target.scissor.copy(target.viewport);
+    renderer.setRenderTarget(target);
+    renderer.clear();
+    studio.add(prototype);
+    renderer.render(studio, camera);
+    studio.remove(prototype);
+
+    return { extent, bottom: _box.min.y };
+  });
+
+  renderer.setRenderTarget(previousTarget);
+  renderer.setClearColor(_clearColor, previousAlpha);
+
+  return {
+    texture: target.texture,
+    cells,
+    dispose() {
+      target.dispose();
+    },
+  };
+}
+
+// Replaces project_vertex: the quad's corners are laid out from the instance
+// centre along the camera's horizontal right vector and world up, so it stays
+// upright however the camera pitches
+const billboardChunk = /* glsl */ `
+vec4 impostorBase = modelMatrix * instanceMatrix * vec4( 0.0, 0.0, 0.0, 1.0 );
+float impostorScale = length( instanceMatrix[ 0 ].xyz );
+vec3 impostorRight = vec3( viewMatrix[ 0 ][ 0 ], 0.0, viewMatrix[ 2 ][ 0 ] );
+impostorRight = length( impostorRight ) > 0.0001 ? normalize( impostorRight ) : vec3( 1.0, 0.0, 0.0 );
+vec4 impostorWorld = impostorBase + vec4( impostorRight * transformed.x * impostorScale + vec3( 0.0, transformed.y * impostorScale, 0.0 ), 0.0 );
+vec4 mvPosition = viewMatrix * impostorWorld;
+gl_Position = projectionMatrix * mvPosition;
+`;
+
+// instances: [{ cell, position: [x, y, z] of the base, scale, color? }]
+export function createImpostorMesh(atlas, instances) {
+  const cellCount = atlas.cells.length;
+  const geometry = new THREE.PlaneGeometry(1, 1).translate(0, 0.5, 0);
+  const cellIndices = new Float32Array(instances.length);
+
+  const material = new THREE.MeshLambertMaterial({ map: atlas.texture, alphaTest: 0.5 });
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", "#include <common>\nattribute float impostorCell;")
+      .replace("#include <uv_vertex>", `#include <uv_vertex>\nvUv.x = ( vUv.x + impostorCell ) / ${cellCount.toFixed(1)};`)
+      // Lit like a canopy from above, whichever way the quad has turned
+      .replace("#include <beginnormal_vertex>", "vec3 objectNormal = vec3( 0.0, 1.0, 0.0 );")
+      .replace("#include <project_vertex>", billboardChunk);
+  };
+  material.customProgramCacheKey = () => `impostor-${cellCount}`;
+
+  const mesh = new THREE.InstancedMesh(geometry, material, instances.length);
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const white = new THREE.Color(0xffffff);
+
+  instances.forEach((instance, index) => {
+    const { extent, bottom } = atlas.cells[instance.cell];
+    position.fromArray(instance.position);
+    position.y += bottom * instance.scale;
+    matrix.makeScale(extent * instance.scale, extent * instance.scale, extent * instance.scale).setPosition(position);
+    mesh.setMatrixAt(index, matrix);
+    mesh.setColorAt(index, instance.color || white);
+    cellIndices[index] = instance.cell;
+  });
+
+  geometry.setAttribute("impostorCell", new THREE.InstancedBufferAttribute(cellIndices, 1));
+  mesh.instanceMatrix.needsUpdate = true;
+  if (mesh.instanceColor) {
+    mesh.instanceColor.needsUpdate = true;
+  }
+  return mesh;
+}
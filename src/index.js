@@ -0,0 +1,9 @@
+// Library entry for embedding: registers <firefly-forest> and exposes the
+// factory for pages that want to drive a canvas themselves
+import { defineFireflyForest } from "./fireflyForest";
+
+export { createForestScene, DEFAULT_SCENE_OPTIONS } from "./scene";
+export { FireflyForest, defineFireflyForest } from "./fireflyForest";
+export { PALETTES } from "./palettes";
+
+defineFireflyForest();
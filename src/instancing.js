@@ -0,0 +1,107 @@
+import * as THREE from "three";
+
+// Helpers for building vegetation out of THREE.InstancedMesh, so hundreds of
+// blades, trunks or fronds share one geometry, one material and one draw call
+
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+const _scale = new THREE.Vector3();
+const _white = new THREE.Color(1, 1, 1);
+
+// Builds a transform matrix; rotation is an Euler (x, y, z) triple or a
+// THREE.Quaternion, and scale either a number or an (x, y, z) triple
+export function composeMatrix(position, rotation = [0, 0, 0], scale = 1) {
+  _position.set(position[0], position[1], position[2]);
+  if (rotation.isQuaternion) {
+    _quaternion.copy(rotation);
+  } else {
+    _quaternion.setFromEuler(_euler.set(rotation[0], rotation[1], rotation[2]));
+  }
+  if (typeof scale === "number") {
+    _scale.setScalar(scale);
+  } else {
+    _scale.set(scale[0], scale[1], scale[2]);
+  }
+  return new THREE.Matrix4().compose(_position, _quaternion, _scale);
+}
+
+// Patches a built-in material so each instance can carry its own opacity
+// through an "instanceOpacity" attribute
+export function enableInstanceOpacity(material) {
+  material.transparent = true;
+  material.userData.instanceOpacity = true;
+
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;"
+      )
+      .replace(
+        "#include <begin_vertex>",
+        "#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;"
+      );
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nvarying float vInstanceOpacity;"
+      )
+      .replace(
+        "#include <color_fragment>",
+        "#include <color_fragment>\ndiffuseColor.a *= vInstanceOpacity;"
+      );
+  };
+
+  // Keep the patched program apart from unpatched materials of the same type
+  material.customProgramCacheKey = () => "instance-opacity";
+
+  return material;
+}
+
+// instances: [{ matrix, color?, opacity? }]
+// Per-instance colors multiply the material color, so materials used here
+// should normally stay white. Per-instance opacity needs a material passed
+// through enableInstanceOpacity first, and the geometry must not be shared
+// with another instanced mesh since the opacities are stored on it.
+export function createInstancedMesh(geometry, material, instances) {
+  const mesh = new THREE.InstancedMesh(geometry, material, instances.length);
+  const opacities = material.userData.instanceOpacity ? new Float32Array(instances.length) : null;
+
+  instances.forEach((instance, index) => {
+    mesh.setMatrixAt(index, instance.matrix);
+    mesh.setColorAt(index, instance.color || _white);
+    if (opacities) {
+      opacities[index] = instance.opacity === undefined ? 1 : instance.opacity;
+    }
+  });
+
+  if (opacities) {
+    geometry.setAttribute(
+      "instanceOpacity",
+      new THREE.InstancedBufferAttribute(opacities, 1)
+    );
+  }
+
+  mesh.instanceMatrix.needsUpdate = true;
+  if (mesh.instanceColor) {
+    mesh.instanceColor.needsUpdate = true;
+  }
+
+  // Instances spread across the whole forest, so the geometry's own bounds
+  // are useless for culling
+  mesh.frustumCulled = false;
+
+  return mesh;
+}
+
+// Draws only the first `fraction` of a mesh's instances. Instances are placed
+// in random order, so any prefix is an even thinning of the whole set.
+export function setInstanceDensity(mesh, fraction) {
+  if (mesh.userData.fullCount === undefined) {
+    mesh.userData.fullCount = mesh.count;
+  }
+  mesh.count = Math.round(mesh.userData.fullCount * Math.min(1, Math.max(0, fraction)));
+  return mesh;
+}
@@ -0,0 +1,179 @@
+import * as THREE from "three";
+
+// Pointer interaction over the scene graph. Objects are registered as
+// interactive roots; a ray hit on any descendant (a GLB firefly's body mesh,
+// a fallback firefly's halo) resolves to the registered root. Emits
+// "hoverstart", "hoverend" and "click" to handlers added with on().
+
+const CLICK_SLOP = 6;      // px the pointer may move and still count as a click
+const CLICK_TIME = 500;    // ms between press and release
+
+export function createInteraction(camera, domElement, { highlight = 1.15, highlightSpeed = 12 } = {}) {
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const roots = new Map();   // object -> { cursor, highlight, baseScale, emphasis }
+  const handlers = { hoverstart: [], hoverend: [], click: [] };
+  let pointerInside = false;
+  let hovered = null;
+  let press = null;
+
+  function emit(type, detail) {
+    handlers[type].forEach((handler) => handler(detail));
+  }
+
+  function setPointer(event) {
+    const rect = domElement.getBoundingClientRect();
+    pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+  }
+
+  // The raycaster ignores visibility, so hidden fireflies (daytime) and their
+  // hidden parents are skipped here
+  function isShown(object) {
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible) return false;
+    }
+    return true;
+  }
+
+  function rootOf(object) {
+    for (let node = object; node; node = node.parent) {
+      if (roots.has(node)) return node;
+    }
+    return null;
+  }
+
+  // Nearest visible hit, resolved to its registered root
+  function pick() {
+    raycaster.setFromCamera(pointer, camera);
+    const hits = raycaster.intersectObjects([...roots.keys()], true);
+    for (const hit of hits) {
+      if (!isShown(hit.object)) continue;
+      const object = rootOf(hit.object);
+      if (object) {
+        return { object, point: hit.point, distance: hit.distance, intersection: hit };
+      }
+    }
+    return null;
+  }
+
+  function setHovered(hit) {
+    const object = hit ? hit.object : null;
+    if (object === hovered) return;
+    if (hovered) {
+      emit("hoverend", { object: hovered });
+    }
+    hovered = object;
+    domElement.style.cursor = hovered ? roots.get(hovered).cursor : "";
+    if (hovered) {
+      emit("hoverstart", hit);
+    }
+  }
+
+  function onPointerMove(event) {
+    // Touch has no hover; taps are handled on release
+    if (event.pointerType === "touch") return;
+    pointerInside = true;
+    setPointer(event);
+  }
+
+  function onPointerLeave() {
+    pointerInside = false;
+    setHovered(null);
+  }
+
+  function onPointerDown(event) {
+    press = { x: event.clientX, y: event.clientY, time: performance.now() };
+  }
+
+  function onPointerUp(event) {
+    if (!press) return;
+    const moved = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+    const held = performance.now() - press.time;
+    press = null;
+    // A drag (orbiting in explore mode) is not a click
+    if (moved > CLICK_SLOP || held > CLICK_TIME) return;
+
+    setPointer(event);
+    const hit = pick();
+    if (hit) {
+      emit("click", { ...hit, originalEvent: event });
+    }
+  }
+
+  domElement.addEventListener("pointermove", onPointerMove);
+  domElement.addEventListener("pointerleave", onPointerLeave);
+  domElement.addEventListener("pointerdown", onPointerDown);
+  domElement.addEventListener("pointerup", onPointerUp);
+
+  const interaction = {
+    get hovered() {
+      return hovered;
+    },
+
+    // cursor: shown while hovered; highlight: scale factor while hovered (1 for none)
+    add(object, options = {}) {
+      roots.set(object, {
+        cursor: "pointer",
+        highlight,
+        ...options,
+        baseScale: object.scale.clone(),
+        emphasis: 0,
+      });
+      return object;
+    },
+
+    remove(object) {
+      const entry = roots.get(object);
+      if (!entry) return;
+      object.scale.copy(entry.baseScale);
+      roots.delete(object);
+      if (hovered === object) {
+        setHovered(null);
+      }
+    },
+
+    // Returns a function that unsubscribes
+    on(type, handler) {
+      if (!handlers[type]) {
+        throw new Error(`Unknown interaction event "${type}"`);
+      }
+      handlers[type].push(handler);
+      return () => interaction.off(type, handler);
+    },
+
+    off(type, handler) {
+      const list = handlers[type] || [];
+      const index = list.indexOf(handler);
+      if (index !== -1) {
+        list.splice(index, 1);
+      }
+    },
+
+    // Re-picks every frame since fireflies fly in and out under a still cursor
+    update(delta) {
+      setHovered(pointerInside ? pick() : null);
+
+      const alpha = 1 - Math.exp(-highlightSpeed * delta);
+      roots.forEach((entry, object) => {
+        entry.emphasis += ((object === hovered ? 1 : 0) - entry.emphasis) * alpha;
+        const scale = 1 + (entry.highlight - 1) * entry.emphasis;
+        object.scale.copy(entry.baseScale).multiplyScalar(scale);
+      });
+    },
+
+    dispose() {
+      domElement.removeEventListener("pointermove", onPointerMove);
+      domElement.removeEventListener("pointerleave", onPointerLeave);
+      domElement.removeEventListener("pointerdown", onPointerDown);
+      domElement.removeEventListener("pointerup", onPointerUp);
+      roots.forEach((entry, object) => object.scale.copy(entry.baseScale));
+      roots.clear();
+      domElement.style.cursor = "";
+    },
+  };
+
+  return interaction;
+}
@@ -0,0 +1,33 @@
+// Splash overlay shown while the critical assets load
+
+export function createLoadingScreen() {
+  const overlay = document.createElement("div");
+  overlay.className = "loading-screen";
+  overlay.innerHTML = `
+    <div class="loading-screen__title">Into the forest…</div>
+    <div class="loading-screen__bar"><div class="loading-screen__fill"></div></div>
+    <div class="loading-screen__label">0%</div>
+  `;
+  document.body.appendChild(overlay);
+
+  const fill = overlay.querySelector(".loading-screen__fill");
+  const label = overlay.querySelector(".loading-screen__label");
+
+  return {
+    setProgress(fraction) {
+      const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+      fill.style.width = `${percent}%`;
+      label.textContent = `${percent}%`;
+    },
+
+    // Fades out, then removes itself
+    hide() {
+      overlay.classList.add("loading-screen--done");
+      overlay.addEventListener("transitionend", () => overlay.remove(), { once: true });
+    },
+
+    dispose() {
+      overlay.remove();
+    },
+  };
+}
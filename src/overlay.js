@@ -0,0 +1,19 @@
+// Elements laid over the scene canvas, such as the theme cross-fade and the
+// poster. They're styled inline since an embedded canvas may sit in a shadow
+// root, out of reach of the page's stylesheet.
+
+// Puts `element` just after the canvas and over it: a fixed canvas fills the
+// window, an embedded one is covered where it lies. Clicks go through.
+export function coverCanvas(canvas, element) {
+  const fixed = window.getComputedStyle(canvas).position === "fixed";
+  Object.assign(element.style, { pointerEvents: "none" }, fixed
+    ? { position: "fixed", left: "0", top: "0", width: "100%", height: "100%" }
+    : {
+      position: "absolute",
+      left: `${canvas.offsetLeft}px`,
+      top: `${canvas.offsetTop}px`,
+      width: `${canvas.clientWidth}px`,
+      height: `${canvas.clientHeight}px`,
+    });
+  canvas.after(element);
+}
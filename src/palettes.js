@@ -0,0 +1,14 @@
+// Firefly glow colours. hue is where the range starts and hueSpread how far
+// it runs, both as fractions of the colour wheel.
+export const PALETTES = {
+  meadow: { hue: 0.15, hueSpread: 0.1 },     // yellow to yellow-green, the original
+  ember: { hue: 0.02, hueSpread: 0.07 },     // red to orange
+  frost: { hue: 0.5, hueSpread: 0.1 },       // cyan to sky blue
+  twilight: { hue: 0.72, hueSpread: 0.12 },  // violet to magenta
+};
+
+export const DEFAULT_PALETTE = "meadow";
+
+export function resolvePalette(name) {
+  return PALETTES[name] || PALETTES[DEFAULT_PALETTE];
+}
@@ -0,0 +1,51 @@
+import { coverCanvas } from "./overlay";
+
+// A still image standing in for the scene, laid over the canvas: for browsers
+// without WebGL, and while a lost context is away.
+//
+// reveal: also show the page content the scene normally keeps hidden (the
+// full page only), since there's no scene to look at instead.
+
+export function createPoster({ canvas, image, reveal = false }) {
+  const element = document.createElement("div");
+  element.className = "webgl-poster";
+  Object.assign(element.style, {
+    backgroundColor: "#05070d",
+    backgroundImage: `url("${image}")`,
+    backgroundPosition: "center",
+    backgroundSize: "cover",
+  });
+  let shown = false;
+
+  const poster = {
+    element,
+
+    get shown() {
+      return shown;
+    },
+
+    show() {
+      if (shown) return;
+      shown = true;
+      coverCanvas(canvas, element);
+      if (reveal) {
+        document.body.classList.add("webgl-fallback");
+      }
+    },
+
+    hide() {
+      if (!shown) return;
+      shown = false;
+      element.remove();
+      if (reveal) {
+        document.body.classList.remove("webgl-fallback");
+      }
+    },
+
+    dispose() {
+      poster.hide();
+    },
+  };
+
+  return poster;
+}
@@ -0,0 +1,248 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass";
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass";
+
+// Post-processing: selective bloom on glowing objects (fireflies, moon) plus
+// a final tone-mapping and vignette pass. Gives the scene its glow without a
+// dynamic PointLight per firefly.
+
+// Objects on this layer bloom; everything else only occludes the bloom
+export const BLOOM_LAYER = 1;
+
+export const TONE_MAPPING = { none: 0, aces: 1, reinhard: 2 };
+
+export const DEFAULT_POST_PARAMS = {
+  bloomStrength: 1.6,
+  bloomRadius: 0.5,
+  bloomThreshold: 0.1,
+  exposure: 1.0,
+  toneMapping: "aces",
+  vignetteOffset: 1.0,
+  vignetteDarkness: 1.1,
+};
+
+export function markGlowing(object) {
+  object.traverse((child) => child.layers.enable(BLOOM_LAYER));
+}
+
+// EffectComposer renders through several full-screen targets; treat setups
+// without half-float textures (old mobile GPUs, software renderers) as unable
+// to afford it
+export function isPostProcessingSupported(renderer) {
+  const { capabilities, extensions } = renderer;
+  return capabilities.isWebGL2 || extensions.has("OES_texture_half_float");
+}
+
+const finalShader = {
+  uniforms: {
+    baseTexture: { value: null },
+    bloomTexture: { value: null },
+    exposure: { value: 1 },
+    toneMapping: { value: TONE_MAPPING.aces },
+    vignetteOffset: { value: 1 },
+    vignetteDarkness: { value: 1 },
+  },
+
+  vertexShader: `
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+
+  fragmentShader: `
+    uniform sampler2D baseTexture;
+    uniform sampler2D bloomTexture;
+    uniform float exposure;
+    uniform int toneMapping;
+    uniform float vignetteOffset;
+    uniform float vignetteDarkness;
+    varying vec2 vUv;
+
+    // Narkowicz's fit of the ACES filmic curve
+    vec3 acesFilmic(vec3 x) {
+      return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+    }
+
+    void main() {
+      vec4 base = texture2D(baseTexture, vUv);
+      vec3 color = (base.rgb + texture2D(bloomTexture, vUv).rgb) * exposure;
+
+      if (toneMapping == 1) {
+        color = acesFilmic(color);
+      } else if (toneMapping == 2) {
+        color = color / (1.0 + color);
+      }
+
+      vec2 uv = (vUv - vec2(0.5)) * vec2(vignetteOffset);
+      color = mix(color, vec3(1.0 - vignetteDarkness), dot(uv, uv));
+
+      gl_FragColor = vec4(color, base.a);
+    }
+  `,
+};
+
+export function createPostProcessing(renderer, scene, camera, { enabled = true, params = {} } = {}) {
+  const settings = { ...DEFAULT_POST_PARAMS, ...params };
+  const supported = isPostProcessingSupported(renderer);
+  let active = enabled && supported;
+
+  const size = renderer.getSize(new THREE.Vector2());
+  const bloomLayer = new THREE.Layers();
+  bloomLayer.set(BLOOM_LAYER);
+
+  // Pass 1: bloom from the glowing objects only
+  const bloomPass = new UnrealBloomPass(
+    size.clone(),
+    settings.bloomStrength,
+    settings.bloomRadius,
+    settings.bloomThreshold
+  );
+  const bloomComposer = new EffectComposer(renderer);
+  bloomComposer.renderToScreen = false;
+  bloomComposer.addPass(new RenderPass(scene, camera));
+  bloomComposer.addPass(bloomPass);
+
+  // Pass 2: the full scene, with the bloom added, tone mapped and vignetted
+  const finalPass = new ShaderPass(finalShader, "baseTexture");
+  finalPass.uniforms.bloomTexture.value = bloomComposer.renderTarget2.texture;
+  const finalComposer = new EffectComposer(renderer);
+  finalComposer.addPass(new RenderPass(scene, camera));
+  finalComposer.addPass(finalPass);
+
+  // While rendering the bloom pass, non-glowing meshes are drawn black so
+  // they still hide fireflies behind them, and everything else is hidden.
+  // Each material gets a black twin (unfogged, or distant meshes would take
+  // the fog color) keeping its texture cutout and vertex patches, so
+  // impostors and swaying plants mask exactly what's on screen.
+  const darkMaterials = new Map();
+  const savedMaterials = new Map();
+  const hidden = [];
+
+  function darkVariant(material) {
+    if (!darkMaterials.has(material)) {
+      const dark = new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        fog: false,
+        alphaMap: material.alphaMap || null,
+        alphaTest: material.alphaTest,
+        transparent: material.transparent,
+        side: material.side,
+      });
+      dark.onBeforeCompile = material.onBeforeCompile;
+      dark.customProgramCacheKey = material.customProgramCacheKey;
+      darkMaterials.set(material, dark);
+      material.addEventListener("dispose", function forget() {
+        material.removeEventListener("dispose", forget);
+        darkMaterials.delete(material);
+        dark.dispose();
+      });
+    }
+    // Textures can arrive, and opacity fade, after the twin was made
+    const dark = darkMaterials.get(material);
+    if (dark.map !== (material.map || null)) {
+      dark.map = material.map || null;
+      dark.needsUpdate = true;
+    }
+    dark.opacity = material.opacity;
+    return dark;
+  }
+
+  function darkenNonGlowing(object) {
+    if (object.layers.test(bloomLayer)) return;
+    if (object.isMesh) {
+      savedMaterials.set(object, object.material);
+      object.material = Array.isArray(object.material)
+        ? object.material.map(darkVariant)
+        : darkVariant(object.material);
+    } else if ((object.isPoints || object.isSprite || object.isLine) && object.visible) {
+      object.visible = false;
+      hidden.push(object);
+    }
+  }
+
+  function restore() {
+    savedMaterials.forEach((material, object) => {
+      object.material = material;
+    });
+    savedMaterials.clear();
+    hidden.forEach((object) => {
+      object.visible = true;
+    });
+    hidden.length = 0;
+  }
+
+  function applyParams() {
+    bloomPass.strength = settings.bloomStrength;
+    bloomPass.radius = settings.bloomRadius;
+    bloomPass.threshold = settings.bloomThreshold;
+    finalPass.uniforms.exposure.value = settings.exposure;
+    finalPass.uniforms.toneMapping.value = TONE_MAPPING[settings.toneMapping] || TONE_MAPPING.none;
+    finalPass.uniforms.vignetteOffset.value = settings.vignetteOffset;
+    finalPass.uniforms.vignetteDarkness.value = settings.vignetteDarkness;
+  }
+
+  applyParams();
+
+  return {
+    params: settings,
+    supported,
+
+    get enabled() {
+      return active;
+    },
+
+    // Falls back to plain renderer.render() when off or unsupported
+    setEnabled(on) {
+      active = on && supported;
+      return active;
+    },
+
+    setParams(values) {
+      Object.assign(settings, values);
+      applyParams();
+    },
+
+    setSize(width, height) {
+      bloomComposer.setSize(width, height);
+      finalComposer.setSize(width, height);
+    },
+
+    setPixelRatio(ratio) {
+      bloomComposer.setPixelRatio(ratio);
+      finalComposer.setPixelRatio(ratio);
+    },
+
+    render() {
+      if (!active) {
+        renderer.render(scene, camera);
+        return;
+      }
+
+      const background = scene.background;
+      scene.background = null;
+      scene.traverse(darkenNonGlowing);
+      bloomComposer.render();
+      restore();
+      scene.background = background;
+
+      finalComposer.render();
+    },
+
+    dispose() {
+      restore();
+      darkMaterials.forEach((dark) => dark.dispose());
+      darkMaterials.clear();
+      finalPass.material.dispose();
+      bloomPass.dispose();
+      [bloomComposer, finalComposer].forEach((composer) => {
+        composer.renderTarget1.dispose();
+        composer.renderTarget2.dispose();
+      });
+    },
+  };
+}
@@ -0,0 +1,109 @@
+// Quality tiers and an adaptive monitor that steps down a tier when the
+// measured frame time stays over budget.
+
+// pixelRatio caps the device pixel ratio; vegetation is the fraction of
+// undergrowth instances drawn; postProcessing toggles bloom and tone mapping;
+// shadows turns on the sun's shadow map and moonShadows the moonlight's (a
+// point light, so six extra passes); chunkRadius is how many rings of forest
+// chunks are drawn around the camera, the outer ones as impostors
+export const QUALITY_TIERS = {
+  low: { pixelRatio: 1, vegetation: 0.35, chunkRadius: 2, shadows: false, moonShadows: false, shadowMapSize: 512, postProcessing: false },
+  medium: { pixelRatio: 1.5, vegetation: 0.65, chunkRadius: 3, shadows: true, moonShadows: false, shadowMapSize: 1024, postProcessing: true },
+  high: { pixelRatio: 2, vegetation: 1, chunkRadius: 4, shadows: true, moonShadows: true, shadowMapSize: 2048, postProcessing: true },
+};
+
+export const QUALITY_ORDER = ["low", "medium", "high"];
+
+export const DEFAULT_QUALITY_PARAMS = {
+  budget: 1 / 45,     // seconds; slower than this on average steps down a tier
+  sampleFrames: 90,   // frames averaged per decision
+  warmup: 2,          // seconds ignored at start and after each change
+  maxDelta: 0.25,     // longer frames are tab switches or hitches, not load
+};
+
+// First guess before anything is measured: phones and small machines start
+// at medium
+export function guessQualityTier() {
+  const coarse = window.matchMedia && window.matchMedia("(pointer: coarse)").matches;
+  const cores = navigator.hardwareConcurrency || 4;
+  return coarse || cores <= 4 ? "medium" : "high";
+}
+
+// ?quality=low|medium|high pins a tier and turns adaptation off
+export function qualityFromUrl(search = window.location.search) {
+  const tier = new URLSearchParams(search).get("quality");
+  return QUALITY_TIERS[tier] ? tier : null;
+}
+
+// Only ever steps down on its own: with vsync a comfortable frame time looks
+// the same as a struggling one at the refresh rate, so there is nothing
+// reliable to step back up on. setTier still moves either way.
+export function createQualityMonitor({ tier = "high", adaptive = true, params = {}, onChange = () => {} } = {}) {
+  const settings = { ...DEFAULT_QUALITY_PARAMS, ...params };
+  let current = tier;
+  let warmup = settings.warmup;
+  let total = 0;
+  let frames = 0;
+
+  function reset() {
+    warmup = settings.warmup;
+    total = 0;
+    frames = 0;
+  }
+
+  function setTier(name, reason) {
+    if (!QUALITY_TIERS[name]) {
+      throw new Error(`Unknown quality tier "${name}"`);
+    }
+    const previous = current;
+    current = name;
+    reset();
+    onChange(QUALITY_TIERS[name], name, previous, reason);
+  }
+
+  return {
+    params: settings,
+
+    get tier() {
+      return current;
+    },
+
+    get settings() {
+      return QUALITY_TIERS[current];
+    },
+
+    get adaptive() {
+      return adaptive;
+    },
+
+    setAdaptive(on) {
+      adaptive = on;
+      reset();
+    },
+
+    setTier(name) {
+      setTier(name, "manual");
+    },
+
+    update(delta) {
+      if (!adaptive || delta > settings.maxDelta) return;
+      if (warmup > 0) {
+        warmup -= delta;
+        return;
+      }
+
+      total += delta;
+      frames++;
+      if (frames < settings.sampleFrames) return;
+
+      const average = total / frames;
+      total = 0;
+      frames = 0;
+
+      const index = QUALITY_ORDER.indexOf(current);
+      if (average > settings.budget && index > 0) {
+        setTier(QUALITY_ORDER[index - 1], `${(average * 1000).toFixed(1)}ms per frame`);
+      }
+    },
+  };
+}
@@ -0,0 +1,84 @@
+// Seeded random numbers for reproducible scene generation
+
+// FNV-1a hash, used to turn seeds and stream labels into 32-bit integers
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32: small, fast and good enough for placing trees
+function mulberry32(state) {
+  return function () {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function createRandom(seed) {
+  const seedString = String(seed);
+  const next = mulberry32(hashString(seedString));
+
+  return {
+    seed: seedString,
+
+    // Drop-in replacement for Math.random()
+    next,
+
+    // Float in [min, max)
+    range(min, max) {
+      return min + next() * (max - min);
+    },
+
+    // Float in [-range / 2, range / 2), like THREE.MathUtils.randFloatSpread
+    spread(range) {
+      return (next() - 0.5) * range;
+    },
+
+    // Integer in [0, n)
+    int(n) {
+      return Math.floor(next() * n);
+    },
+
+    pick(items) {
+      return items[Math.floor(next() * items.length)];
+    },
+
+    // Independent stream per subsystem, so adding a generator (or changing how
+    // many numbers one of them draws) doesn't reshuffle everything after it
+    fork(label) {
+      return createRandom(`${seedString}:${label}`);
+    },
+  };
+}
+
+export function generateSeed() {
+  return String(Math.floor(Math.random() * 1e9));
+}
+
+// Reads ?seed= from the URL, or picks a fresh one and writes it back so the
+// current address bar is always a shareable link to this exact forest
+export function resolveSeed() {
+  const params = new URLSearchParams(window.location.search);
+  let seed = params.get("seed");
+
+  if (!seed) {
+    seed = generateSeed();
+    params.set("seed", seed);
+    const url = `${window.location.pathname}?${params}${window.location.hash}`;
+    window.history.replaceState(null, "", url);
+  }
+
+  return seed;
+}
+
+export function seedUrl(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", seed);
+  return url.toString();
+}
@@ -0,0 +1,662 @@
+import * as THREE from "three";
+import { WEBGL } from "three/examples/jsm/WebGL";
+import { createRandom, generateSeed, resolveSeed } from "./random";
+import { createSeedBadge } from "./seedBadge";
+import { createPostProcessing, markGlowing, TONE_MAPPING } from "./postprocessing";
+import { createCameraRig } from "./cameraRig";
+import { createExploreControls } from "./explore";
+import { createExploreToggle } from "./exploreToggle";
+import { createInteraction } from "./interaction";
+import { createSoundscape } from "./soundscape";
+import { createSoundToggle } from "./soundToggle";
+import { createAssetRegistry } from "./assets";
+import { createLoadingScreen } from "./loadingScreen";
+import { createViewport } from "./viewport";
+import { createQualityMonitor, guessQualityTier, qualityFromUrl } from "./quality";
+import { createThemeSwitcher, resolveTheme } from "./themes";
+import { createThemeToggle } from "./themeToggle";
+import { createTuningPanel } from "./tuning";
+import { disposeObject } from "./dispose";
+import { createSky } from "./sky";
+import { createCapture } from "./capture";
+import { exportGlb, loadGlb } from "./gltf";
+import { downloadBlob, pickFile } from "./files";
+import { createPoster } from "./poster";
+
+export const DEFAULT_SCENE_OPTIONS = {
+  seed: null,             // null picks a fresh one
+  container: null,        // element to size to; null follows the window
+  scrollElement: window,  // whose scrolling drives the camera
+  anchors: true,          // pin keyframes to page elements (the full page only)
+  progress: null,         // 0..1 camera position instead of scrolling
+  eventTarget: null,      // pointer events for hover and click; the canvas by default
+  theme: "forest",
+  rememberTheme: false,   // keep theme choices in localStorage and the URL
+  fireflyCount: 6,
+  treeDensity: 1,
+  palette: "meadow",
+  quality: null,          // pin a tier; null starts from a guess and adapts
+  postProcessing: true,
+  sound: false,
+  ui: false,              // seed badge, loading screen and corner buttons
+  assetBase: "",          // prefix for space.jpg, moon.jpg, normal.jpg and firefly.glb
+  poster: "space.jpg",    // shown instead of the scene without WebGL, under assetBase
+  debug: false,           // log the seed, quality changes, theme switches and the like
+};
+
+// One complete scene behind one lifecycle, rendering into `canvas`: builds it,
+// starts the render loop and returns a handle whose dispose() takes it all
+// down again. Several can run side by side on one page.
+export function createForestScene(canvas, options = {}) {
+  const settings = { ...DEFAULT_SCENE_OPTIONS, ...options };
+  // Progress messages for the console; warnings go out regardless
+  const log = settings.debug ? (...args) => console.log(...args) : () => {};
+
+  // WebGL - without it there's no scene at all, just the poster (and, on the
+  // full page, the text the scene normally hides)
+  const poster = createPoster({ canvas, image: `${settings.assetBase}${settings.poster}`, reveal: settings.ui });
+  const renderer = createRenderer(canvas);
+  if (!renderer) {
+    poster.show();
+    return createPosterHandle(poster);
+  }
+
+  // Seed - every generator below draws from its own stream of this seed
+  const seed = settings.seed === null ? generateSeed() : String(settings.seed);
+  const worldRandom = createRandom(seed);
+  const seedBadge = settings.ui ? createSeedBadge(seed) : null;
+  log(`Forest seed: ${seed}`);
+
+  // Setup
+  const scene = new THREE.Scene();
+
+  const camera = new THREE.PerspectiveCamera(
+    75,
+    window.innerWidth / window.innerHeight,
+    0.1,
+    1000
+  );
+
+  // Shadows stay on at the renderer; themes decide which lights cast, and with
+  // none casting the shadow pass costs nothing
+  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+  // Sizes the renderer and camera now and on every resize or rotation; the pixel
+  // ratio cap follows the quality tier
+  const viewport = createViewport({ renderer, camera, container: settings.container });
+
+  camera.position.setZ(30);
+  camera.position.setX(-3);
+
+  // Assets - everything loads through one registry; the canvas is revealed once
+  // the critical ones have loaded or fallen back
+  const loadingScreen = settings.ui ? createLoadingScreen() : null;
+  const assets = createAssetRegistry({
+    onProgress: (fraction) => loadingScreen && loadingScreen.setProgress(fraction)
+  });
+
+  const assetUrl = (file) => `${settings.assetBase}${file}`;
+  assets.add("space", { url: assetUrl("space.jpg"), type: "texture" });
+  assets.add("moon", { url: assetUrl("moon.jpg"), type: "texture" });
+  assets.add("moonNormal", { url: assetUrl("normal.jpg"), type: "texture" });
+  assets.add("firefly", { url: assetUrl("firefly.glb"), type: "gltf" });
+
+  assets.whenCriticalReady().then(() => {
+    if (loadingScreen) {
+      loadingScreen.hide();
+    }
+    renderer.domElement.classList.add("revealed");
+  });
+
+  // Post-processing - bloom, tone mapping and vignette. Falls back to
+  // rendering directly on its own where unsupported.
+  const postfxRequested = settings.postProcessing;
+  const postProcessing = createPostProcessing(renderer, scene, camera, {
+    enabled: postfxRequested
+  });
+  if (!postProcessing.supported) {
+    log("Post-processing unsupported here, rendering directly");
+  }
+  viewport.onResize((width, height, pixelRatio) => {
+    postProcessing.setPixelRatio(pixelRatio);
+    postProcessing.setSize(width, height);
+  });
+
+  // Sky - a dome around the camera with a twinkling starfield inside it and
+  // space.jpg behind the stars; themes set its colors and how much night
+  // shows (the forest fades it in as it gets dark)
+  const sky = createSky({ camera, random: worldRandom.fork("stars") });
+  scene.add(sky.group);
+  viewport.onResize((width, height, pixelRatio) => sky.setPixelRatio(pixelRatio));
+
+  assets.get("space").then((spaceTexture) => sky.setTexture(spaceTexture));
+
+  // Moon
+  const moon = new THREE.Mesh(
+    new THREE.SphereGeometry(3, 32, 32),
+    new THREE.MeshStandardMaterial({
+      // Plain grey until (or unless) the textures arrive
+      color: 0xbbbbbb,
+      // A little self-illumination for the bloom pass to pick up
+      emissive: 0xffffff,
+      emissiveIntensity: 0.25,
+    })
+  );
+
+  Promise.all([assets.get("moon"), assets.get("moonNormal")]).then(([moonTexture, normalTexture]) => {
+    const material = moon.material;
+    if (moonTexture) {
+      material.color.set(0xffffff);
+      material.map = moonTexture;
+      material.emissiveMap = moonTexture;
+    }
+    material.normalMap = normalTexture;
+    material.needsUpdate = true;
+  });
+
+  moon.name = "moon";
+  markGlowing(moon);
+  scene.add(moon);
+
+  moon.position.z = 30;
+  moon.position.setX(-10);
+
+  // Scroll Animation
+  // The camera follows the keyframed path in src/cameraKeyframes.js; the rig is
+  // advanced from the render loop so it keeps easing after scrolling stops
+  const cameraRig = createCameraRig(camera, {
+    scrollElement: settings.scrollElement,
+    anchors: settings.anchors
+  });
+  cameraRig.setProgress(settings.progress);
+
+  // The rig moves the camera; scrolling also gives the moon a turn
+  function spinMoonOnScroll() {
+    moon.rotation.x += 0.05;
+    moon.rotation.y += 0.075;
+    moon.rotation.z += 0.05;
+  }
+
+  settings.scrollElement.addEventListener("scroll", spinMoonOnScroll);
+  spinMoonOnScroll();
+
+  // Free explore - orbit and WASD around the forest, toggled from the corner
+  // button (Esc leaves). On the way out the rig glides back to the scroll pose
+  // from wherever exploring left the camera. Only with the page UI.
+  const explore = settings.ui
+    ? createExploreControls(camera, renderer.domElement, {
+      groundAt: (x, z) => themes.current.groundAt(x, z),
+      area: () => (themes.current.exploreArea ? themes.current.exploreArea() : null)
+    })
+    : null;
+  const exploreToggle = explore ? createExploreToggle(() => setExploring(!explore.enabled)) : null;
+
+  function setExploring(on) {
+    if (!explore || on === explore.enabled) return;
+    if (on) {
+      explore.enable(cameraRig.lookTarget);
+    } else {
+      explore.disable();
+      cameraRig.resume(explore.target);
+    }
+    document.body.classList.toggle("exploring", on);
+    exploreToggle.render(on);
+  }
+
+  function onKeyDown(event) {
+    if (event.key === "Escape") {
+      setExploring(false);
+    }
+  }
+
+  window.addEventListener("keydown", onKeyDown);
+
+  // Pointer interaction - hovering grows the moon and whatever the theme
+  // registers a little; clicking the moon sets it spinning, and themes add their
+  // own click handlers
+  const interaction = createInteraction(camera, settings.eventTarget || renderer.domElement);
+  let moonSpin = 0;
+
+  interaction.add(moon, { highlight: 1.05 });
+  interaction.on("click", ({ object }) => {
+    if (object === moon) {
+      moonSpin = 4;
+    }
+  });
+
+  // Sound - starts on the first click, tap or key press; the mute choice is
+  // remembered between visits. Off unless asked for, the button only with the
+  // page UI.
+  const soundToggle = settings.sound && settings.ui
+    ? createSoundToggle(() => {
+      if (!soundscape.started) {
+        soundscape.start();
+        soundscape.setMuted(false);
+      } else {
+        soundscape.toggleMuted();
+      }
+    })
+    : null;
+  const soundscape = settings.sound
+    ? createSoundscape({
+      camera,
+      random: worldRandom.fork("sound"),
+      log,
+      onChange: ({ muted }) => soundToggle && soundToggle.render(muted)
+    })
+    : null;
+  if (soundToggle) {
+    soundToggle.render(soundscape.muted);
+  }
+
+  // Themes - the forest or the original space scene, built around the shared
+  // stars, moon and sky dome; switching dissolves from a snapshot of the old
+  // scene.
+  const themes = createThemeSwitcher({
+    context: {
+      scene,
+      camera,
+      renderer,
+      random: worldRandom,
+      assets,
+      shared: { moon, sky },
+      interaction,
+      soundscape,
+      options: {
+        fireflyCount: settings.fireflyCount,
+        treeDensity: settings.treeDensity,
+        palette: settings.palette
+      }
+    },
+    initial: settings.theme,
+    remember: settings.rememberTheme,
+    canvas: renderer.domElement,
+    capture: () => {
+      postProcessing.render();
+      return renderer.domElement.toDataURL("image/jpeg", 0.9);
+    },
+    onSwitch: (theme) => {
+      cameraRig.setKeyframes(theme.cameraKeyframes);
+      theme.setQuality(quality.settings);
+      if (themeToggle) {
+        themeToggle.render(theme.name);
+      }
+      if (tuning) {
+        tuning.refresh();
+      }
+    },
+    log
+  });
+  cameraRig.setKeyframes(themes.current.cameraKeyframes);
+  cameraRig.snap();
+
+  const themeToggle = settings.ui ? createThemeToggle(() => themes.next()) : null;
+  if (themeToggle) {
+    themeToggle.render(themes.current.name);
+  }
+
+  // Quality - a pinned tier stays put; otherwise it starts from a guess and
+  // steps down while frames keep running over budget
+  const pinnedQuality = settings.quality;
+  const quality = createQualityMonitor({
+    tier: pinnedQuality || guessQualityTier(),
+    adaptive: !pinnedQuality,
+    onChange: (settings, tier, previous, reason) => {
+      log(`Quality ${previous} -> ${tier} (${reason})`);
+      applyQuality(settings);
+    }
+  });
+
+  function applyQuality(settings) {
+    viewport.setMaxPixelRatio(settings.pixelRatio);
+    themes.current.setQuality(settings);
+    postProcessing.setEnabled(postfxRequested && settings.postProcessing);
+  }
+
+  applyQuality(quality.settings);
+  log(`Quality: ${quality.tier}${pinnedQuality ? " (pinned)" : ""}`);
+
+  // Capture - stills at any size and fly-through clips, rendered through the
+  // same pipeline and render loop as the page
+  let pinnedProgress = settings.progress;
+  const capture = createCapture({
+    renderer,
+    camera,
+    viewport,
+    postProcessing,
+    name: `firefly-forest-${seed}`,
+    log,
+    loop: { stop: stopLoop, start: startLoop },
+    path: {
+      begin: () => {
+        cameraRig.setProgress(0);
+        cameraRig.snap();
+      },
+      step: (delta, t) => {
+        cameraRig.setProgress(t);
+        step(delta, { flying: true });
+      },
+      end: () => cameraRig.setProgress(pinnedProgress),
+    },
+  });
+
+  // glTF - the theme's layers (plus the moon) out to a .glb for other tools,
+  // and, for themes that take one, an edited layout back in. Layers left
+  // unticked in the panel stay out of the file; the choice outlives theme
+  // switches.
+  const exportLayers = {};
+
+  function gltfLayers() {
+    return [...themes.current.layers, "moon"];
+  }
+
+  function exportGltf({ layers = gltfLayers().filter((name) => exportLayers[name] !== false), download = true } = {}) {
+    const theme = themes.current;
+    const objects = layers.map((name) => (name === "moon" ? moon : theme.exportLayer(name))).filter(Boolean);
+    return exportGlb(objects).then((blob) => {
+      if (download) {
+        downloadBlob(`firefly-forest-${seed}-${theme.name}.glb`, blob);
+      }
+      log(`glTF export: ${layers.join(", ")} (${(blob.size / 1e6).toFixed(1)} MB)`);
+      return blob;
+    });
+  }
+
+  // source: a URL or a File
+  function importGltf(source) {
+    const theme = themes.current;
+    if (!theme.importLayout) {
+      return Promise.reject(new Error(`The ${theme.name} theme can't import a layout`));
+    }
+    return loadGlb(source).then((gltf) => {
+      if (themes.current !== theme) {
+        throw new Error("The theme changed while the layout was loading");
+      }
+      theme.importLayout(gltf);
+      log(`glTF layout imported into ${theme.name}`);
+    });
+  }
+
+  // Tuning panel - ` toggles it (?tune opens it straight away). The theme's own
+  // sections come first, then the parts every theme shares.
+  const tuning = settings.ui
+    ? createTuningPanel({
+      open: new URLSearchParams(window.location.search).has("tune"),
+      log,
+      sections: () => [
+        ...themes.current.tuning(),
+        {
+          name: "camera",
+          params: { damping: cameraRig.damping },
+          setParams: ({ damping }) => cameraRig.setDamping(damping),
+          ranges: { damping: [0.5, 12] },
+        },
+        {
+          name: "post",
+          params: postProcessing.params,
+          setParams: postProcessing.setParams,
+          ranges: { toneMapping: Object.keys(TONE_MAPPING) },
+        },
+        ...(soundscape ? [{ name: "sound", params: soundscape.params, setParams: soundscape.setParams, ranges: {} }] : []),
+        {
+          name: "stars",
+          params: sky.params,
+          setParams: sky.setParams,
+          rebuilds: true,
+          ranges: {
+            count: [0, 10000, 100],
+            layers: [1, 5, 1],
+            parallax: [0, 0.2],
+            starSize: [0.2, 4],
+            twinkle: [0, 1],
+            twinkleSpeed: [0, 10],
+            horizonBlend: [0.02, 1],
+            latitude: [-90, 90, 1],
+            siderealTime: [0, 24],
+          },
+        },
+        {
+          name: "explore",
+          params: explore.params,
+          setParams: explore.setParams,
+          ranges: {
+            margin: [0, 40, 1],
+            bounds: [10, 200, 5],
+          },
+        },
+        {
+          name: "capture",
+          params: capture.params,
+          setParams: capture.setParams,
+          ranges: {
+            width: [320, 7680, 2],
+            height: [240, 4320, 2],
+            clipWidth: [320, 3840, 2],
+            clipHeight: [240, 2160, 2],
+            duration: [1, 60, 1],
+            fps: [12, 60, 1],
+            bitrate: [1000000, 40000000, 1000000],
+          },
+          actions: {
+            screenshot: () => capture.screenshot().catch((error) => console.warn("Screenshot failed:", error)),
+            record: () => capture.record().catch((error) => console.warn("Recording failed:", error)),
+          },
+        },
+        {
+          name: "gltf",
+          params: Object.fromEntries(gltfLayers().map((name) => [name, exportLayers[name] !== false])),
+          setParams: (values) => Object.assign(exportLayers, values),
+          ranges: {},
+          actions: {
+            export: () => exportGltf().catch((error) => console.warn("glTF export failed:", error)),
+            ...(themes.current.importLayout && {
+              import: () => pickFile(".glb,model/gltf-binary")
+                .then(importGltf)
+                .catch((error) => console.warn("glTF import failed:", error)),
+            }),
+            ...(themes.current.clearLayout && { procedural: () => themes.current.clearLayout() }),
+          },
+        },
+      ],
+    })
+    : null;
+
+  // Animation Loop
+  const clock = new THREE.Clock();
+  let frame = null;
+  let contextLost = false;
+
+  // Everything that moves, advanced by `delta` seconds; captures step through
+  // here too, at a fixed rate. flying keeps the camera on its path even while
+  // exploring.
+  function step(delta, { flying = false } = {}) {
+    sky.update(delta);
+    moon.rotation.x += 0.005;
+    moon.rotation.y += moonSpin * delta;
+    moonSpin *= Math.exp(-1.5 * delta);
+
+    if (explore && explore.enabled && !flying) {
+      explore.update(delta);
+    } else {
+      cameraRig.update(delta);
+    }
+
+    const ambience = themes.update(delta);
+
+    // Louder deeper down the page, hushed by fog; crickets only at night
+    if (soundscape) {
+      soundscape.update({ ...ambience, depth: cameraRig.progress });
+    }
+    interaction.update(delta);
+  }
+
+  function animate() {
+    frame = requestAnimationFrame(animate);
+
+    const delta = clock.getDelta();
+    quality.update(delta);
+    step(delta);
+    postProcessing.render();
+  }
+
+  function stopLoop() {
+    cancelAnimationFrame(frame);
+  }
+
+  // The time spent stopped doesn't count as a frame. Nothing restarts the
+  // loop while the context is lost but the context coming back.
+  function startLoop() {
+    if (contextLost) return;
+    clock.getDelta();
+    animate();
+  }
+
+  animate();
+
+  // Context loss - a GPU reset, or the browser reclaiming the context, pauses
+  // the loop behind the poster. When it comes back three.js has set itself up
+  // again and uploads every texture and geometry afresh on the next render;
+  // what only ever lived on the GPU, like the tree impostor atlas, comes back
+  // with a rebuild of the theme, along with new copies of the firefly model
+  // and any glTF layout that was imported.
+  function onContextLost(event) {
+    // Without this the browser never offers the context back
+    event.preventDefault();
+    contextLost = true;
+    stopLoop();
+    poster.show();
+    console.warn("WebGL context lost, rendering paused");
+  }
+
+  function onContextRestored() {
+    contextLost = false;
+    themes.rebuild();
+    viewport.resize();
+    poster.hide();
+    startLoop();
+    log("WebGL context restored");
+  }
+
+  renderer.domElement.addEventListener("webglcontextlost", onContextLost);
+  renderer.domElement.addEventListener("webglcontextrestored", onContextRestored);
+
+  // Teardown - stops the loop, unhooks every listener and frees the GPU side of
+  // the scene, leaving the canvas ready for the next scene
+  function dispose() {
+    cancelAnimationFrame(frame);
+    settings.scrollElement.removeEventListener("scroll", spinMoonOnScroll);
+    window.removeEventListener("keydown", onKeyDown);
+    renderer.domElement.removeEventListener("webglcontextlost", onContextLost);
+    renderer.domElement.removeEventListener("webglcontextrestored", onContextRestored);
+
+    themes.dispose();
+    interaction.dispose();
+    cameraRig.dispose();
+    viewport.dispose();
+    postProcessing.dispose();
+    [explore, soundscape, loadingScreen, tuning, poster].forEach((part) => part && part.dispose());
+    [seedBadge, exploreToggle, soundToggle, themeToggle].forEach((part) => {
+      if (part) (part.element || part).remove();
+    });
+    if (explore) {
+      document.body.classList.remove("exploring");
+    }
+
+    disposeObject(scene);
+    assets.dispose();
+    renderer.dispose();
+    log("Scene disposed");
+  }
+
+  return {
+    seed,
+    themes,
+    dispose,
+
+    get progress() {
+      return cameraRig.progress;
+    },
+
+    // 0..1 along the camera path; null goes back to following the scroll
+    setProgress(value) {
+      pinnedProgress = value;
+      cameraRig.setProgress(value);
+    },
+
+    // The firefly animation clips, for themes with an animated swarm; a null
+    // name plays every clip at once again
+    listClips: () => (themes.current.listClips ? themes.current.listClips() : []),
+    playClip(name = null, duration = 0.5) {
+      if (themes.current.playClip) {
+        themes.current.playClip(name, duration);
+      }
+    },
+
+    // See capture.js for the options
+    screenshot: (options) => capture.screenshot(options),
+    record: (options) => capture.record(options),
+
+    // exportGltf({ layers, download }) resolves to the .glb Blob; layers
+    // default to those ticked in the panel, from themes.current.layers and
+    // "moon". importGltf(urlOrFile) replaces the theme's layout.
+    exportGltf,
+    importGltf,
+  };
+}
+
+// null where WebGL is missing or switched off, or no context can be had
+function createRenderer(canvas) {
+  if (!WEBGL.isWebGLAvailable()) {
+    console.warn("WebGL unavailable, showing the poster instead");
+    return null;
+  }
+  try {
+    return new THREE.WebGLRenderer({ canvas });
+  } catch (error) {
+    console.warn("Couldn't create a WebGL renderer, showing the poster instead:", error.message || error);
+    return null;
+  }
+}
+
+// The handle when there's no WebGL: the same shape, with nothing behind it
+function createPosterHandle(poster) {
+  const unavailable = () => Promise.reject(new Error("WebGL is unavailable"));
+  return {
+    seed: null,
+    themes: null,
+
+    dispose() {
+      poster.dispose();
+    },
+
+    get progress() {
+      return 0;
+    },
+
+    setProgress() {},
+    listClips: () => [],
+    playClip() {},
+    screenshot: unavailable,
+    record: unavailable,
+    exportGltf: unavailable,
+    importGltf: unavailable,
+  };
+}
+
+// The full page: the fixed #bg canvas behind the document, with the seed
+// badge, corner buttons and sound, and the URL options (?seed=, ?theme=,
+// ?quality=, ?postfx=off)
+export function init({ canvas = document.querySelector("#bg") } = {}) {
+  const search = new URLSearchParams(window.location.search);
+  return createForestScene(canvas, {
+    seed: resolveSeed(),
+    theme: resolveTheme(),
+    rememberTheme: true,
+    quality: qualityFromUrl(),
+    postProcessing: search.get("postfx") !== "off",
+    sound: true,
+    ui: true,
+    debug: search.has("debug"),
+  });
+}
@@ -0,0 +1,23 @@
+import { seedUrl } from "./random";
+import { createToggleButton } from "./toggleButton";
+
+// Small corner badge showing the current seed; clicking copies a share link
+export function createSeedBadge(seed) {
+  const badge = createToggleButton("seed-badge", async () => {
+    const url = seedUrl(seed);
+    try {
+      await navigator.clipboard.writeText(url);
+      badge.textContent = "link copied!";
+    } catch (error) {
+      // Clipboard API needs a secure context; fall back to a prompt
+      window.prompt("Copy this link:", url);
+    }
+    setTimeout(() => {
+      badge.textContent = `seed ${seed}`;
+    }, 1500);
+  });
+  badge.title = "Copy a link to this forest";
+  badge.textContent = `seed ${seed}`;
+
+  return badge;
+}
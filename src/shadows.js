@@ -0,0 +1,91 @@
+import * as THREE from "three";
+
+// Sun shadows that follow the camera. One shadow map can't cover the whole
+// forest at a useful resolution, so the directional light's orthographic
+// shadow camera is kept over the patch of ground in front of the camera,
+// wherever the scroll (or exploring) has taken it.
+
+export const DEFAULT_SHADOW_PARAMS = {
+  radius: 35,          // half-width of the square of ground the map covers
+  lead: 15,            // how far ahead of the camera that square is centred
+  distance: 60,        // from the centre back along the sun direction
+  depth: 140,          // near-to-far range of the shadow camera
+  bias: -0.0005,
+  normalBias: 0.02,
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+const _direction = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _focus = new THREE.Vector3();
+
+// light: a DirectionalLight whose position something else (the day/night
+// cycle) sets each frame as a direction from the origin; update() then moves
+// it and its target over the focus. groundAt(x, z) puts the focus on the
+// terrain.
+export function createSunShadow(light, camera, { groundAt = () => 0, params = {} } = {}) {
+  const settings = { ...DEFAULT_SHADOW_PARAMS, ...params };
+
+  function applyParams() {
+    const shadowCamera = light.shadow.camera;
+    shadowCamera.left = -settings.radius;
+    shadowCamera.right = settings.radius;
+    shadowCamera.top = settings.radius;
+    shadowCamera.bottom = -settings.radius;
+    shadowCamera.near = Math.max(0.5, settings.distance - settings.depth / 2);
+    shadowCamera.far = settings.distance + settings.depth / 2;
+    shadowCamera.updateProjectionMatrix();
+    light.shadow.bias = settings.bias;
+    light.shadow.normalBias = settings.normalBias;
+  }
+
+  applyParams();
+
+  return {
+    params: settings,
+
+    setParams(values) {
+      Object.assign(settings, values);
+      applyParams();
+    },
+
+    update() {
+      _direction.copy(light.position).normalize();
+
+      // Ground in front of the camera, ignoring its pitch
+      camera.getWorldDirection(_forward);
+      _forward.y = 0;
+      if (_forward.lengthSq() < 1e-6) {
+        _forward.set(0, 0, -1);
+      }
+      _focus.copy(camera.position).addScaledVector(_forward.normalize(), settings.lead);
+      _focus.y = Math.max(groundAt(_focus.x, _focus.z), -settings.distance);
+
+      // Snap the focus to whole shadow-map texels across the light's view, so
+      // the shadow edges don't crawl as the camera glides
+      _forward.copy(_direction).negate();
+      _right.crossVectors(_forward, UP);
+      if (_right.lengthSq() < 1e-6) {
+        _right.set(1, 0, 0);
+      }
+      _right.normalize();
+      _up.crossVectors(_right, _forward);
+      const texel = (2 * settings.radius) / light.shadow.mapSize.width;
+      const snap = (value) => Math.round(value / texel) * texel;
+      const along = _focus.dot(_forward);
+      const across = snap(_focus.dot(_right));
+      const upward = snap(_focus.dot(_up));
+      _focus
+        .copy(_forward)
+        .multiplyScalar(along)
+        .addScaledVector(_right, across)
+        .addScaledVector(_up, upward);
+
+      light.target.position.copy(_focus);
+      light.target.updateMatrixWorld();
+      light.position.copy(_focus).addScaledVector(_direction, settings.distance);
+    },
+  };
+}
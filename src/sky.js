@@ -0,0 +1,306 @@
+import * as THREE from "three";
+import { CONSTELLATIONS } from "./constellations";
+
+// The sky: a dome that follows the camera and a starfield of THREE.Points
+// inside it. The dome shades from the zenith color down to the fog color at
+// the horizon, with space.jpg fading in at night; the stars are sized by
+// magnitude, twinkle in the shader and fade into the haze near the horizon.
+// They are spread over a few layers at slightly different distances that
+// trail the camera by different amounts, for a touch of parallax.
+
+export const DEFAULT_STARFIELD_PARAMS = {
+  count: 2500,          // random stars, split between the layers
+  layers: 3,
+  parallax: 0.05,       // how much the nearest layer lags the camera
+  starSize: 1,          // multiplies every star's point size
+  twinkle: 0.4,         // 0 holds the stars steady
+  twinkleSpeed: 3,
+  horizonBlend: 0.2,    // height (sine of altitude) the horizon haze reaches
+  constellations: true, // real stars from src/constellations.js on the far layer
+  latitude: 45,         // where the real stars are seen from, in degrees
+  siderealTime: 5.5,    // hours; 5.5 puts Orion high in the south
+};
+
+// Faintest random star; the count of stars grows tenfold every 1.7 magnitudes
+const LIMITING_MAGNITUDE = 6.5;
+const STAR_TINTS = [0xaabfff, 0xcad7ff, 0xf8f7ff, 0xf8f7ff, 0xfff4e8, 0xffd2a1];
+const DOME_RADIUS = 500;
+
+const domeVertexShader = /* glsl */ `
+varying vec3 vDirection;
+varying vec2 vUv;
+
+void main() {
+  vDirection = position;
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+}
+`;
+
+const domeFragmentShader = /* glsl */ `
+uniform vec3 zenithColor;
+uniform vec3 horizonColor;
+uniform vec3 spaceColor;
+uniform sampler2D map;
+uniform float hasMap;
+uniform float night;
+uniform float atmosphere;
+uniform float horizonBlend;
+varying vec3 vDirection;
+varying vec2 vUv;
+
+void main() {
+  vec3 space = mix( spaceColor, texture2D( map, vUv ).rgb, hasMap );
+  vec3 color = mix( zenithColor, space, night );
+  float haze = atmosphere * ( 1.0 - smoothstep( 0.0, horizonBlend, normalize( vDirection ).y ) );
+  gl_FragColor = vec4( mix( color, horizonColor, haze ), 1.0 );
+}
+`;
+
+const starVertexShader = /* glsl */ `
+attribute float size;
+attribute float phase;
+attribute vec3 tint;
+uniform float time;
+uniform float starSize;
+uniform float pixelRatio;
+uniform float twinkle;
+uniform float twinkleSpeed;
+uniform float night;
+uniform float atmosphere;
+uniform float horizonBlend;
+varying vec3 vTint;
+varying float vAlpha;
+
+void main() {
+  float altitude = normalize( mat3( modelMatrix ) * position ).y;
+
+  // Air near the horizon is thicker, so stars there flicker more
+  float strength = twinkle * mix( 1.0, 0.4, atmosphere * clamp( altitude, 0.0, 1.0 ) );
+  float flicker = 1.0 + strength * ( 0.6 * sin( time * twinkleSpeed * ( 0.7 + phase ) + phase * 6.2832 ) +
+    0.4 * sin( time * twinkleSpeed * 2.3 + phase * 17.0 ) );
+
+  float haze = atmosphere * ( 1.0 - smoothstep( 0.0, horizonBlend, altitude ) );
+  vTint = tint;
+  vAlpha = night * clamp( flicker, 0.0, 2.0 ) * ( 1.0 - haze );
+
+  vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );
+  gl_PointSize = size * starSize * pixelRatio * mix( 1.0, flicker, 0.5 );
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const starFragmentShader = /* glsl */ `
+varying vec3 vTint;
+varying float vAlpha;
+
+void main() {
+  float glow = smoothstep( 0.5, 0.0, length( gl_PointCoord - 0.5 ) );
+  gl_FragColor = vec4( vTint, vAlpha * glow * glow );
+}
+`;
+
+// Point size in pixels for a visual magnitude, and how bright its color is
+function magnitudeSize(magnitude) {
+  return 1.2 + 1.1 * (LIMITING_MAGNITUDE - magnitude);
+}
+
+function magnitudeBrightness(magnitude) {
+  return THREE.MathUtils.clamp(0.3 + 0.7 * (1 - magnitude / LIMITING_MAGNITUDE), 0.3, 1);
+}
+
+// Right ascension (hours) and declination (degrees) to a direction in the
+// scene, seen from `latitude` at `siderealTime`: north is +z, east -x, up +y
+function celestialDirection(ra, dec, latitude, siderealTime, target) {
+  const hourAngle = (siderealTime - ra) * (Math.PI / 12);
+  const phi = THREE.MathUtils.degToRad(latitude);
+  const delta = THREE.MathUtils.degToRad(dec);
+  const up = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle);
+  const north = Math.cos(phi) * Math.sin(delta) - Math.sin(phi) * Math.cos(delta) * Math.cos(hourAngle);
+  const east = -Math.cos(delta) * Math.sin(hourAngle);
+  return target.set(-east, up, north);
+}
+
+// stars: [{ direction, magnitude, tint }]
+function createStarLayer(stars, radius, material, random) {
+  const positions = new Float32Array(stars.length * 3);
+  const sizes = new Float32Array(stars.length);
+  const phases = new Float32Array(stars.length);
+  const tints = new Float32Array(stars.length * 3);
+  const color = new THREE.Color();
+
+  stars.forEach(({ direction, magnitude, tint }, index) => {
+    direction.clone().multiplyScalar(radius).toArray(positions, index * 3);
+    sizes[index] = magnitudeSize(magnitude);
+    phases[index] = random.next();
+    color.set(tint).multiplyScalar(magnitudeBrightness(magnitude)).toArray(tints, index * 3);
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("size", new THREE.BufferAttribute(sizes, 1));
+  geometry.setAttribute("phase", new THREE.BufferAttribute(phases, 1));
+  geometry.setAttribute("tint", new THREE.BufferAttribute(tints, 3));
+  return new THREE.Points(geometry, material);
+}
+
+function randomStar(random) {
+  const y = random.range(-1, 1);
+  const angle = random.range(0, Math.PI * 2);
+  const ring = Math.sqrt(1 - y * y);
+  // Fainter stars are far more common
+  const magnitude = Math.max(1, LIMITING_MAGNITUDE + Math.log10(Math.max(random.next(), 1e-6)) / 0.6);
+  return {
+    direction: new THREE.Vector3(Math.cos(angle) * ring, y, Math.sin(angle) * ring),
+    magnitude,
+    tint: random.pick(STAR_TINTS),
+  };
+}
+
+// camera: the dome and layers are kept around it. random: the stream the
+// random stars come from; rebuilding with the same one gives the same sky.
+export function createSky({ camera, random, params = {} }) {
+  const settings = { ...DEFAULT_STARFIELD_PARAMS, ...params };
+  const group = new THREE.Group();
+  group.name = "sky";
+
+  const sharedUniforms = {
+    night: { value: 0 },
+    atmosphere: { value: 1 },
+    horizonBlend: { value: settings.horizonBlend },
+  };
+
+  const dome = new THREE.Mesh(
+    new THREE.SphereGeometry(DOME_RADIUS, 32, 16),
+    new THREE.ShaderMaterial({
+      uniforms: {
+        ...sharedUniforms,
+        zenithColor: { value: new THREE.Color(0x05070d) },
+        horizonColor: { value: new THREE.Color(0x1a2a3a) },
+        spaceColor: { value: new THREE.Color(0x05070d) }, // plain night sky if space.jpg can't be had
+        map: { value: null },
+        hasMap: { value: 0 },
+      },
+      vertexShader: domeVertexShader,
+      fragmentShader: domeFragmentShader,
+      side: THREE.BackSide,
+      depthWrite: false,
+    })
+  );
+  dome.name = "sky dome";
+  group.add(dome);
+
+  const starMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      ...sharedUniforms,
+      time: { value: 0 },
+      starSize: { value: settings.starSize },
+      pixelRatio: { value: 1 },
+      twinkle: { value: settings.twinkle },
+      twinkleSpeed: { value: settings.twinkleSpeed },
+    },
+    vertexShader: starVertexShader,
+    fragmentShader: starFragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+
+  let layers = [];
+
+  // Layer 0 is the farthest and moves with the camera; the real stars go there
+  function buildStars() {
+    const layerCount = Math.max(1, Math.round(settings.layers));
+    const perLayer = Math.round(settings.count / layerCount);
+    layers = Array.from({ length: layerCount }, (_, index) => {
+      const layerRandom = random.fork(`layer-${index}`);
+      const stars = Array.from({ length: perLayer }, () => randomStar(layerRandom));
+      if (index === 0 && settings.constellations) {
+        CONSTELLATIONS.forEach((constellation) => {
+          constellation.stars.forEach(([ra, dec, magnitude]) => {
+            const direction = celestialDirection(ra, dec, settings.latitude, settings.siderealTime, new THREE.Vector3());
+            stars.push({ direction, magnitude, tint: 0xf8f7ff });
+          });
+        });
+      }
+      const radius = DOME_RADIUS * (0.9 - 0.1 * index);
+      const points = createStarLayer(stars, radius, starMaterial, layerRandom);
+      points.name = `stars ${index}`;
+      group.add(points);
+      return points;
+    });
+  }
+
+  function clearStars() {
+    layers.forEach((points) => {
+      group.remove(points);
+      points.geometry.dispose();
+    });
+    layers = [];
+  }
+
+  buildStars();
+
+  const REBUILD_KEYS = ["count", "layers", "constellations", "latitude", "siderealTime"];
+
+  return {
+    group,
+    params: settings,
+
+    setParams(values) {
+      Object.assign(settings, values);
+      starMaterial.uniforms.starSize.value = settings.starSize;
+      starMaterial.uniforms.twinkle.value = settings.twinkle;
+      starMaterial.uniforms.twinkleSpeed.value = settings.twinkleSpeed;
+      sharedUniforms.horizonBlend.value = settings.horizonBlend;
+      if (Object.keys(values).some((key) => REBUILD_KEYS.includes(key))) {
+        clearStars();
+        buildStars();
+      }
+    },
+
+    // The dome's color overhead and the haze it fades to at the horizon
+    // (normally the fog color); no horizon means no atmosphere at all
+    setColors(zenith, horizon = null) {
+      dome.material.uniforms.zenithColor.value.copy(zenith);
+      if (horizon) {
+        dome.material.uniforms.horizonColor.value.copy(horizon);
+      }
+      sharedUniforms.atmosphere.value = horizon ? 1 : 0;
+    },
+
+    // 0 in daylight, 1 for the full starfield and space.jpg
+    setNight(amount) {
+      sharedUniforms.night.value = amount;
+      layers.forEach((points) => {
+        points.visible = amount > 0.001;
+      });
+    },
+
+    setTexture(texture) {
+      dome.material.uniforms.map.value = texture;
+      dome.material.uniforms.hasMap.value = texture ? 1 : 0;
+    },
+
+    setPixelRatio(ratio) {
+      starMaterial.uniforms.pixelRatio.value = ratio;
+    },
+
+    update(delta) {
+      starMaterial.uniforms.time.value += delta;
+      dome.position.copy(camera.position);
+      // Nearer layers trail a little further behind
+      layers.forEach((points, index) => {
+        const lag = layers.length > 1 ? (settings.parallax * index) / (layers.length - 1) : 0;
+        points.position.copy(camera.position).multiplyScalar(1 - lag);
+      });
+    },
+
+    dispose() {
+      clearStars();
+      starMaterial.dispose();
+      dome.geometry.dispose();
+      dome.material.dispose();
+    },
+  };
+}
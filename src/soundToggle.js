@@ -0,0 +1,14 @@
+import { createToggleButton } from "./toggleButton";
+
+// Corner button muting and unmuting the soundscape
+export function createSoundToggle(onToggle) {
+  const button = createToggleButton("sound-toggle", onToggle);
+
+  function render(muted) {
+    button.textContent = muted ? "sound off" : "sound on";
+    button.title = muted ? "Unmute the forest" : "Mute the forest";
+    button.setAttribute("aria-pressed", String(!muted));
+  }
+
+  return { element: button, render };
+}
@@ -0,0 +1,275 @@
+import * as THREE from "three";
+import { readStorage, writeStorage } from "./storage";
+
+// Forest soundscape on THREE.AudioListener: a looping ambience bed, crickets
+// that come in with the night and a soft positional buzz on every firefly. The
+// loops are synthesized from the seed rather than shipped as files. Nothing is
+// created until the first user gesture, since browsers keep audio locked until
+// then.
+
+const MUTED_KEY = "firefly-forest:muted";
+
+export const DEFAULT_SOUND_PARAMS = {
+  volume: 0.8,
+  bedVolume: 0.35,
+  cricketVolume: 0.25,
+  buzzVolume: 0.5,
+  buzzRefDistance: 4,    // PositionalAudio distance where the buzz is at full volume
+  buzzRolloff: 1.5,
+  depthBoost: 0.5,       // extra volume at the bottom of the page
+  fogMuffle: 0.5,        // volume taken away by the thickest fog
+  smoothing: 0.3,        // seconds for volume changes to settle
+};
+
+// Loops must join without a click: periodic parts use whole cycles, and noise
+// is crossfaded from its own overrun back into its start
+function createLoopBuffer(context, seconds, fill) {
+  const rate = context.sampleRate;
+  const length = Math.floor(seconds * rate);
+  const fade = Math.floor(0.25 * rate);
+  const raw = new Float32Array(length + fade);
+  fill(raw, rate);
+
+  const buffer = context.createBuffer(1, length, rate);
+  const data = buffer.getChannelData(0);
+  data.set(raw.subarray(0, length));
+  for (let i = 0; i < fade; i++) {
+    const t = i / fade;
+    data[i] = raw[i] * t + raw[length + i] * (1 - t);
+  }
+  return buffer;
+}
+
+// Wind in the leaves: pink noise, low-passed, swelling in slow gusts
+function synthesizeAmbience(context, random, seconds = 8) {
+  return createLoopBuffer(context, seconds, (out, rate) => {
+    let b0 = 0;
+    let b1 = 0;
+    let b2 = 0;
+    let smooth = 0;
+    for (let i = 0; i < out.length; i++) {
+      // Paul Kellet's economy pink noise filter
+      const white = random.spread(2);
+      b0 = 0.99765 * b0 + white * 0.099046;
+      b1 = 0.963 * b1 + white * 0.2965164;
+      b2 = 0.57 * b2 + white * 1.0526913;
+      const pink = (b0 + b1 + b2 + white * 0.1848) * 0.12;
+      smooth += (pink - smooth) * 0.15;
+
+      const t = i / rate;
+      const gust = 0.65 + 0.25 * Math.sin((2 * Math.PI * 2 * t) / seconds) +
+        0.1 * Math.sin((2 * Math.PI * 5 * t) / seconds + 1.3);
+      out[i] = smooth * gust;
+    }
+  });
+}
+
+// A few crickets, each chirping three quick pulses at its own pitch and rate
+function synthesizeCrickets(context, random, seconds = 4, count = 4) {
+  const crickets = Array.from({ length: count }, () => ({
+    pitch: 4200 + random.next() * 900,
+    chirps: 5 + random.int(4), // whole chirps per loop
+    offset: random.next(),
+    level: 0.5 + random.next() * 0.5,
+  }));
+
+  return createLoopBuffer(context, seconds, (out, rate) => {
+    const pulse = 0.016;
+    const gap = 0.03;
+    for (let i = 0; i < out.length; i++) {
+      const t = i / rate;
+      let sample = 0;
+      crickets.forEach(({ pitch, chirps, offset, level }) => {
+        const period = seconds / chirps;
+        const local = (((t / period + offset) % 1) + 1) % 1 * period;
+        const index = Math.floor(local / gap);
+        const within = local - index * gap;
+        if (index < 3 && within < pulse) {
+          sample += Math.sin(2 * Math.PI * pitch * t) * Math.sin((Math.PI * within) / pulse) * level;
+        }
+      });
+      out[i] = sample * 0.2;
+    }
+  });
+}
+
+// Soft wing buzz: a mellow sawtooth-ish tone with a wingbeat tremolo, both at
+// whole-hertz rates so a two second loop holds whole cycles
+function synthesizeBuzz(context, random, seconds = 2) {
+  const pitch = 160 + random.int(40);
+  return createLoopBuffer(context, seconds, (out, rate) => {
+    for (let i = 0; i < out.length; i++) {
+      const t = i / rate;
+      let tone = 0;
+      for (let harmonic = 1; harmonic <= 6; harmonic++) {
+        tone += Math.sin(2 * Math.PI * pitch * harmonic * t) / harmonic;
+      }
+      const tremolo = 0.6 + 0.4 * Math.sin(2 * Math.PI * 12 * t);
+      out[i] = tone * tremolo * 0.15;
+    }
+  });
+}
+
+function readMuted() {
+  return readStorage(MUTED_KEY) === "1";
+}
+
+function storeMuted(muted) {
+  writeStorage(MUTED_KEY, muted ? "1" : "0");
+}
+
+export function createSoundscape({ camera, random, params = {}, onChange = () => {}, log = () => {} }) {
+  const settings = { ...DEFAULT_SOUND_PARAMS, ...params };
+  let muted = readMuted();
+  let listener = null;
+  let bed = null;
+  let crickets = null;
+  let buzzBuffer = null;
+  let sources = [];
+  const buzzes = new Map(); // firefly -> PositionalAudio
+
+  function ramp(param, value) {
+    param.setTargetAtTime(value, listener.context.currentTime, settings.smoothing);
+  }
+
+  function createLoop(buffer) {
+    const audio = new THREE.Audio(listener);
+    audio.setBuffer(buffer);
+    audio.setLoop(true);
+    audio.setVolume(0);
+    audio.play();
+    return audio;
+  }
+
+  function attachBuzz(firefly) {
+    if (buzzes.has(firefly)) return;
+    const audio = new THREE.PositionalAudio(listener);
+    audio.setBuffer(buzzBuffer);
+    audio.setLoop(true);
+    audio.setRefDistance(settings.buzzRefDistance);
+    audio.setRolloffFactor(settings.buzzRolloff);
+    audio.setVolume(0);
+    // Start each loop somewhere different so the swarm doesn't phase
+    audio.offset = random.next() * buzzBuffer.duration;
+    firefly.add(audio);
+    audio.play();
+    buzzes.set(firefly, audio);
+  }
+
+  function start() {
+    if (listener) return;
+    listener = new THREE.AudioListener();
+    camera.add(listener);
+    listener.setMasterVolume(muted ? 0 : settings.volume);
+
+    const context = listener.context;
+    bed = createLoop(synthesizeAmbience(context, random.fork("ambience")));
+    crickets = createLoop(synthesizeCrickets(context, random.fork("crickets")));
+    buzzBuffer = synthesizeBuzz(context, random.fork("buzz"));
+    sources.forEach(attachBuzz);
+
+    context.resume();
+    log("Soundscape started");
+    removeGestureListeners();
+    onChange(soundscape);
+  }
+
+  // Any press or key counts as the gesture that unlocks audio, except on the
+  // mute button, which decides for itself
+  const gestures = ["pointerdown", "keydown", "touchend"];
+  function onGesture(event) {
+    if (event.target.closest && event.target.closest(".sound-toggle")) return;
+    start();
+  }
+  function removeGestureListeners() {
+    gestures.forEach((type) => window.removeEventListener(type, onGesture));
+  }
+  gestures.forEach((type) => window.addEventListener(type, onGesture));
+
+  const soundscape = {
+    params: settings,
+
+    get started() {
+      return listener !== null;
+    },
+
+    get muted() {
+      return muted;
+    },
+
+    // Must be called from a user gesture handler
+    start,
+
+    setMuted(value) {
+      muted = value;
+      storeMuted(muted);
+      if (listener) {
+        ramp(listener.gain.gain, muted ? 0 : settings.volume);
+      }
+      onChange(soundscape);
+    },
+
+    toggleMuted() {
+      soundscape.setMuted(!muted);
+    },
+
+    // Fireflies to give a buzz; kept until audio starts if it hasn't yet
+    setSources(fireflies) {
+      sources = fireflies;
+      if (!listener) return;
+      buzzes.forEach((audio, firefly) => {
+        if (!sources.includes(firefly)) {
+          audio.stop();
+          firefly.remove(audio);
+          buzzes.delete(firefly);
+        }
+      });
+      sources.forEach(attachBuzz);
+    },
+
+    setParams(values) {
+      Object.assign(settings, values);
+      buzzes.forEach((audio) => {
+        audio.setRefDistance(settings.buzzRefDistance);
+        audio.setRolloffFactor(settings.buzzRolloff);
+      });
+      if (listener && !muted) {
+        ramp(listener.gain.gain, settings.volume);
+      }
+    },
+
+    // night and fireflies: 0..1 from the day/night state; depth: scroll
+    // progress 0..1; fogDensity: the scene's current FogExp2 density;
+    // ambience: 0..1 scale on the bed, for scenes with no leaves to rustle
+    update({ night = 1, fireflies = 1, depth = 0, fogDensity = 0, ambience = 1 }) {
+      if (!listener) return;
+
+      // Louder deeper into the page, hushed by thick fog
+      const muffle = THREE.MathUtils.smoothstep(fogDensity, 0.005, 0.02) * settings.fogMuffle;
+      const level = (1 + depth * settings.depthBoost) * (1 - muffle);
+
+      ramp(bed.gain.gain, settings.bedVolume * ambience * level);
+      ramp(crickets.gain.gain, settings.cricketVolume * night * level);
+      buzzes.forEach((audio, firefly) => {
+        // A touch louder while the firefly is lit
+        const flash = firefly.userData.flash ? firefly.userData.flash.brightness : 0;
+        const volume = firefly.visible ? settings.buzzVolume * fireflies * level * (0.6 + 0.4 * flash) : 0;
+        ramp(audio.gain.gain, volume);
+      });
+    },
+
+    dispose() {
+      removeGestureListeners();
+      if (!listener) return;
+      [bed, crickets, ...buzzes.values()].forEach((audio) => {
+        audio.stop();
+        if (audio.parent) audio.parent.remove(audio);
+      });
+      buzzes.clear();
+      camera.remove(listener);
+      listener = null;
+    },
+  };
+
+  return soundscape;
+}
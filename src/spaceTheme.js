@@ -0,0 +1,133 @@
+import * as THREE from "three";
+import { SPACE_CAMERA_KEYFRAMES } from "./cameraKeyframes";
+import { cloneAnimatedModel } from "./fireflyAnimation";
+import { disposeObject } from "./dispose";
+
+// The original space scene: a spinning torus and a single tumbling firefly
+// under plain white light, against the starfield and moon shared with the
+// other themes.
+
+// The GLB firefly, or a yellow sphere if it couldn't be had
+function createFirefly(gltf) {
+  if (!gltf) {
+    return new THREE.Mesh(
+      new THREE.SphereGeometry(1, 32, 32),
+      new THREE.MeshBasicMaterial({ color: 0xffff00 })
+    );
+  }
+
+  // A clone, since the forest theme may be using the loaded scene too
+  const firefly = cloneAnimatedModel(gltf.scene);
+  firefly.scale.setScalar(5);
+  firefly.traverse((child) => {
+    if (child.isMesh && child.material) {
+      child.material = child.material.clone();
+      child.material.transparent = false;
+      child.material.opacity = 1;
+    }
+  });
+  return firefly;
+}
+
+export function createSpaceTheme() {
+  let context = null;
+  let root = null;
+  let torus = null;
+  let firefly = null;
+  let disposed = false;
+  let time = 0;
+
+  const state = { night: 0, fireflies: 0, fogDensity: 0, ambience: 0 };
+
+  return {
+    name: "space",
+    label: "space",
+    cameraKeyframes: SPACE_CAMERA_KEYFRAMES,
+    layers: ["space"],
+
+    build(themeContext) {
+      context = themeContext;
+      const { scene, assets, shared, interaction } = context;
+      root = new THREE.Group();
+      root.name = "space";
+      scene.add(root);
+
+      // No atmosphere out here: the dome shows space.jpg and every star in
+      // full, with no haze at the horizon
+      scene.fog = null;
+      scene.background = new THREE.Color(0x000000);
+      shared.sky.setColors(scene.background);
+      shared.sky.setNight(1);
+
+      // Torus
+      torus = new THREE.Mesh(
+        new THREE.TorusGeometry(10, 3, 16, 100),
+        new THREE.MeshStandardMaterial({ color: 0xff6347 })
+      );
+      torus.name = "torus";
+      root.add(torus);
+
+      // Lights
+      const pointLight = new THREE.PointLight(0xffffff);
+      pointLight.position.set(5, 5, 5);
+      const ambientLight = new THREE.AmbientLight(0xffffff);
+      pointLight.name = "point light";
+      ambientLight.name = "ambient light";
+      root.add(pointLight, ambientLight);
+
+      // Firefly Model
+      assets.get("firefly").then((gltf) => {
+        if (disposed) return;
+        firefly = createFirefly(gltf);
+        firefly.name = "firefly";
+        firefly.position.set(2, 0, -5);
+        root.add(firefly);
+        interaction.add(firefly);
+      });
+    },
+
+    // Nothing to stand on
+    groundAt() {
+      return -Infinity;
+    },
+
+    setQuality() {},
+
+    // Nothing worth tuning
+    tuning() {
+      return [];
+    },
+
+    // The whole scene is one layer, and already plain enough to export as is
+    exportLayer() {
+      return root;
+    },
+
+    update(delta) {
+      time += delta;
+
+      torus.rotation.x += 0.6 * delta;
+      torus.rotation.y += 0.3 * delta;
+      torus.rotation.z += 0.6 * delta;
+
+      if (firefly) {
+        firefly.rotation.y += 0.6 * delta;
+        firefly.rotation.z += 0.6 * delta;
+        firefly.position.y = Math.sin(time) * 0.5;
+      }
+
+      return state;
+    },
+
+    dispose() {
+      disposed = true;
+      if (firefly) {
+        context.interaction.remove(firefly);
+      }
+      context.scene.remove(root);
+      disposeObject(root);
+      root = null;
+      context = null;
+    },
+  };
+}
@@ -0,0 +1,20 @@
+// localStorage that fails quietly. Private browsing and sandboxed frames can
+// refuse it, and everything kept there has somewhere else to come from: a
+// default, the URL or an exported file.
+
+// The stored string, or null when there is none or storage is unavailable
+export function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+export function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch (error) {
+    // Refused or full; the value just won't stick
+  }
+}
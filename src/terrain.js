@@ -0,0 +1,184 @@
+import * as THREE from "three";
+
+// Procedural heightmap terrain. Heights come from seeded fractal noise, so
+// they can be queried anywhere (heightAt) without touching the mesh, and every
+// generator that places something on the ground asks the same function.
+
+// Seeded 2D gradient (Perlin) noise in roughly [-1, 1]
+export function createNoise2D(random) {
+  const permutation = new Uint8Array(512);
+  const base = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = random.int(i + 1);
+    [base[i], base[j]] = [base[j], base[i]];
+  }
+  for (let i = 0; i < 512; i++) {
+    permutation[i] = base[i & 255];
+  }
+
+  const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+  function gradient(hash, x, y) {
+    switch (hash & 7) {
+      case 0: return x + y;
+      case 1: return x - y;
+      case 2: return -x + y;
+      case 3: return -x - y;
+      case 4: return x;
+      case 5: return -x;
+      case 6: return y;
+      default: return -y;
+    }
+  }
+
+  return function noise(x, y) {
+    const xi = Math.floor(x) & 255;
+    const yi = Math.floor(y) & 255;
+    const xf = x - Math.floor(x);
+    const yf = y - Math.floor(y);
+    const u = fade(xf);
+    const v = fade(yf);
+
+    const aa = permutation[permutation[xi] + yi];
+    const ab = permutation[permutation[xi] + yi + 1];
+    const ba = permutation[permutation[xi + 1] + yi];
+    const bb = permutation[permutation[xi + 1] + yi + 1];
+
+    const x1 = THREE.MathUtils.lerp(gradient(aa, xf, yf), gradient(ba, xf - 1, yf), u);
+    const x2 = THREE.MathUtils.lerp(gradient(ab, xf, yf - 1), gradient(bb, xf - 1, yf - 1), u);
+    return THREE.MathUtils.lerp(x1, x2, v);
+  };
+}
+
+export const DEFAULT_TERRAIN_PARAMS = {
+  baseHeight: -16,    // the old flat ground plane
+  amplitude: 7,       // peak height above/below baseHeight
+  frequency: 0.025,   // features per unit for the first octave
+  octaves: 4,
+  persistence: 0.5,   // amplitude kept per octave
+  lacunarity: 2,      // frequency gained per octave
+  size: 200,
+  segments: 128,
+};
+
+// Where each kind of plant is allowed: slope is the angle from vertical in
+// radians, heights are world y
+export const GROWTH_RULES = {
+  tree: { maxSlope: 0.3, minHeight: -Infinity, maxHeight: -13 },
+  bush: { maxSlope: 0.4, minHeight: -Infinity, maxHeight: Infinity },
+  fern: { maxSlope: 0.35, minHeight: -Infinity, maxHeight: -14.5 },
+  grass: { maxSlope: 0.45, minHeight: -Infinity, maxHeight: Infinity },
+  // Moss keeps to the damp, flat hollows
+  moss: { maxSlope: 0.2, minHeight: -Infinity, maxHeight: -16.5 },
+};
+
+const _normal = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+
+export function createTerrain({ random, params = {} } = {}) {
+  const settings = { ...DEFAULT_TERRAIN_PARAMS, ...params };
+  const noise = createNoise2D(random);
+
+  // Fractal Brownian motion, normalised so amplitude is the true peak
+  function heightAt(x, z) {
+    let amplitude = 1;
+    let frequency = settings.frequency;
+    let total = 0;
+    let range = 0;
+    for (let octave = 0; octave < settings.octaves; octave++) {
+      total += noise(x * frequency, z * frequency) * amplitude;
+      range += amplitude;
+      amplitude *= settings.persistence;
+      frequency *= settings.lacunarity;
+    }
+    return settings.baseHeight + (total / range) * settings.amplitude;
+  }
+
+  // Surface normal by central differences
+  function normalAt(x, z, target = new THREE.Vector3()) {
+    const e = 0.5;
+    const dx = heightAt(x + e, z) - heightAt(x - e, z);
+    const dz = heightAt(x, z + e) - heightAt(x, z - e);
+    return target.set(-dx, 2 * e, -dz).normalize();
+  }
+
+  function slopeAt(x, z) {
+    return Math.acos(THREE.MathUtils.clamp(normalAt(x, z, _normal).y, -1, 1));
+  }
+
+  function canGrow(kind, x, z) {
+    const rule = GROWTH_RULES[kind];
+    if (!rule) return true;
+    const height = heightAt(x, z);
+    return (
+      height >= rule.minHeight &&
+      height <= rule.maxHeight &&
+      slopeAt(x, z) <= rule.maxSlope
+    );
+  }
+
+  // Random spot within a spread x spread square (centred on centerX/centerZ)
+  // where `kind` may grow, or null if none turned up after a few tries
+  function scatter(rng, kind, spread, { tries = 12, centerX = 0, centerZ = 0 } = {}) {
+    for (let i = 0; i < tries; i++) {
+      const x = centerX + rng.spread(spread);
+      const z = centerZ + rng.spread(spread);
+      if (canGrow(kind, x, z)) {
+        return { x, y: heightAt(x, z), z };
+      }
+    }
+    return null;
+  }
+
+  // Rotation that tilts a flat decal (moss, grass patch) onto the slope
+  function alignToSurface(x, z, target = new THREE.Quaternion()) {
+    return target.setFromUnitVectors(_up, normalAt(x, z, _normal));
+  }
+
+  // Mesh for a square patch of terrain, vertex-coloured by height and slope
+  function createMesh({ centerX = 0, centerZ = 0, size = settings.size, segments = settings.segments } = {}) {
+    const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+    geometry.rotateX(-Math.PI / 2);
+    geometry.translate(centerX, 0, centerZ);
+
+    const positions = geometry.attributes.position;
+    const colors = new Float32Array(positions.count * 3);
+    const floor = new THREE.Color().setHSL(0.3, 0.4, 0.15); // dark forest floor
+    const lush = new THREE.Color().setHSL(0.3, 0.5, 0.2);
+    const bare = new THREE.Color().setHSL(0.08, 0.35, 0.16);
+    const color = new THREE.Color();
+
+    for (let i = 0; i < positions.count; i++) {
+      const x = positions.getX(i);
+      const z = positions.getZ(i);
+      positions.setY(i, heightAt(x, z));
+
+      // Greener in the hollows, bare earth on the steep bits
+      const lowness = THREE.MathUtils.smoothstep(-heightAt(x, z), -settings.baseHeight - 1, -settings.baseHeight + 2);
+      const steepness = THREE.MathUtils.smoothstep(slopeAt(x, z), 0.3, 0.7);
+      color.copy(floor).lerp(lush, lowness).lerp(bare, steepness);
+      color.toArray(colors, i * 3);
+    }
+
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    geometry.computeVertexNormals();
+
+    const mesh = new THREE.Mesh(
+      geometry,
+      new THREE.MeshLambertMaterial({ vertexColors: true })
+    );
+    mesh.name = "terrain";
+    return mesh;
+  }
+
+  return {
+    params: settings,
+    heightAt,
+    normalAt,
+    slopeAt,
+    canGrow,
+    scatter,
+    alignToSurface,
+    createMesh,
+  };
+}
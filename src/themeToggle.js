@@ -0,0 +1,13 @@
+import { createToggleButton } from "./toggleButton";
+
+// Corner button cycling through the scene themes
+export function createThemeToggle(onToggle) {
+  const button = createToggleButton("theme-toggle", onToggle);
+  button.title = "Switch scene";
+
+  function render(name) {
+    button.textContent = `theme: ${name}`;
+  }
+
+  return { element: button, render };
+}
@@ -0,0 +1,144 @@
+import { createForestTheme } from "./forestTheme";
+import { coverCanvas } from "./overlay";
+import { createSpaceTheme } from "./spaceTheme";
+import { readStorage, writeStorage } from "./storage";
+
+// Scene themes. Each is a factory returning
+//   { name, label, cameraKeyframes, layers, build(context), update(delta), setQuality(settings), groundAt(x, z),
+//     tuning(), exportLayer(name), dispose() }
+// where update returns { night, fireflies, fogDensity, ambience } for the
+// soundscape, tuning returns its sections for the tuning panel and
+// exportLayer(name) an object for each of `layers`, for glTF export. Themes
+// whose layout can be replaced from glTF add importLayout(gltf),
+// importedLayout (the glTF in place, or null) and clearLayout(); themes with
+// an animated swarm add listClips() and playClip(name, duration); themes with
+// ground to stand on add exploreArea(), the { minX, maxX, minZ, maxZ } free
+// explore may roam, or null. The context every theme is built with:
+//   { scene, camera, renderer, random, assets, shared: { moon, sky }, interaction, soundscape, options }
+// soundscape is null when sound is off; options carries the scene options
+// (fireflyCount, treeDensity, palette) for themes that use them.
+// Shared pieces belong to main.js; a theme may restyle them but must not
+// remove them.
+
+export const THEMES = {
+  forest: createForestTheme,
+  space: createSpaceTheme,
+};
+
+export const DEFAULT_THEME = "forest";
+
+const THEME_KEY = "firefly-forest:theme";
+
+// ?theme= wins, then the last choice made on this browser
+export function resolveTheme(search = window.location.search) {
+  const fromUrl = new URLSearchParams(search).get("theme");
+  if (THEMES[fromUrl]) return fromUrl;
+  const stored = readStorage(THEME_KEY);
+  return THEMES[stored] ? stored : DEFAULT_THEME;
+}
+
+function rememberTheme(name) {
+  writeStorage(THEME_KEY, name);
+  const params = new URLSearchParams(window.location.search);
+  params.set("theme", name);
+  window.history.replaceState(null, "", `${window.location.pathname}?${params}${window.location.hash}`);
+}
+
+// Freezes the last frame in an image over the canvas and fades it out, so the
+// old theme dissolves into the new one while it builds and starts rendering
+function crossFade(canvas, snapshot, duration) {
+  const overlay = document.createElement("img");
+  overlay.src = snapshot;
+  Object.assign(overlay.style, {
+    opacity: "1",
+    transition: `opacity ${duration}s ease`,
+  });
+  coverCanvas(canvas, overlay);
+
+  // Two frames so the image is painted at full opacity before it fades
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => {
+      overlay.style.opacity = "0";
+    });
+  });
+  overlay.addEventListener("transitionend", () => overlay.remove(), { once: true });
+}
+
+// capture() must render a frame of `canvas` and return it as a data URL (in
+// the same task, before the drawing buffer is cleared). onSwitch(theme) runs after each
+// new theme is built; log(message) hears about every switch.
+// remember: keep the choice in localStorage and the URL (the full page only)
+export function createThemeSwitcher({
+  context,
+  initial = resolveTheme(),
+  remember = true,
+  canvas,
+  capture,
+  fadeDuration = 1.2,
+  onSwitch = () => {},
+  log = () => {},
+}) {
+  let current = THEMES[initial]();
+  current.build(context);
+  log(`Theme: ${current.name}`);
+
+  const switcher = {
+    get current() {
+      return current;
+    },
+
+    get names() {
+      return Object.keys(THEMES);
+    },
+
+    switchTo(name) {
+      if (!THEMES[name]) {
+        throw new Error(`Unknown theme "${name}"`);
+      }
+      if (name === current.name) return current;
+
+      const snapshot = capture();
+      current.dispose();
+      current = THEMES[name]();
+      current.build(context);
+      if (remember) {
+        rememberTheme(name);
+      }
+      onSwitch(current);
+      crossFade(canvas, snapshot, fadeDuration);
+      log(`Theme: ${current.name}`);
+      return current;
+    },
+
+    // Cycles through the themes in THEMES order
+    next() {
+      const names = Object.keys(THEMES);
+      return switcher.switchTo(names[(names.indexOf(current.name) + 1) % names.length]);
+    },
+
+    // The current theme again from scratch, for when the GPU side of it is
+    // gone (a lost WebGL context). An imported layout is imported again.
+    rebuild() {
+      const layout = current.importedLayout || null;
+      current.dispose();
+      current = THEMES[current.name]();
+      current.build(context);
+      if (layout) {
+        current.importLayout(layout);
+      }
+      onSwitch(current);
+      log(`Theme rebuilt: ${current.name}`);
+      return current;
+    },
+
+    update(delta) {
+      return current.update(delta);
+    },
+
+    dispose() {
+      current.dispose();
+    },
+  };
+
+  return switcher;
+}
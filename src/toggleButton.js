@@ -0,0 +1,11 @@
+// A corner button over the scene, styled by .scene-toggle; className places
+// it. render(...) is left to the caller, which knows what the button shows.
+export function createToggleButton(className, onClick) {
+  const button = document.createElement("button");
+  button.className = `scene-toggle ${className}`;
+  button.type = "button";
+  button.addEventListener("click", () => onClick());
+
+  document.body.appendChild(button);
+  return button;
+}
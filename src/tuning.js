@@ -0,0 +1,284 @@
+import { GUI } from "three/examples/jsm/libs/dat.gui.module";
+import { downloadBlob, pickFile } from "./files";
+import { readStorage, writeStorage } from "./storage";
+
+// In-page tuning panel (dat.gui), toggled with the backquote key. It shows one
+// folder per section, where a section is
+//   { name, params, setParams(values), ranges, rebuilds, hidden, unsaved, actions }
+// params is read for the current values and never written to directly; every
+// change goes through setParams. ranges maps a key to [min, max, step] or to a
+// list of choices; numbers without one get a slider from their current value.
+// rebuilds: only apply once a slider is let go, for sections that regenerate
+// geometry. hidden: keys to leave out. unsaved: keys shown but kept out of
+// presets, for live state rather than settings. actions: optional
+// { label: function } shown as buttons after the values.
+//
+// Named presets hold every section's values; they are kept in localStorage and
+// export to (and import from) JSON files.
+
+const PRESETS_KEY = "firefly-forest:presets";
+
+function readPresets() {
+  try {
+    return JSON.parse(readStorage(PRESETS_KEY)) || {};
+  } catch (error) {
+    // Not JSON: start over rather than lose the panel
+    return {};
+  }
+}
+
+function storePresets(presets) {
+  writeStorage(PRESETS_KEY, JSON.stringify(presets));
+}
+
+const TUNABLE_TYPES = ["number", "boolean", "string"];
+
+// Keys of a section the panel can show
+function tunableKeys(section) {
+  const hidden = section.hidden || [];
+  return Object.keys(section.params).filter(
+    (key) => !hidden.includes(key) && TUNABLE_TYPES.includes(typeof section.params[key])
+  );
+}
+
+// The ones presets hold
+function presetKeys(section) {
+  const unsaved = section.unsaved || [];
+  return tunableKeys(section).filter((key) => !unsaved.includes(key));
+}
+
+// A slider that leaves room either side of the default
+function autoRange(value) {
+  if (value < 0) return [value * 3, -value * 3];
+  return [0, value > 0 ? value * 3 : 1];
+}
+
+function downloadJson(filename, data) {
+  downloadBlob(filename, new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+}
+
+function pickJsonFile() {
+  return pickFile("application/json,.json").then((file) =>
+    file.text().then((text) => ({ name: file.name.replace(/\.json$/i, ""), data: JSON.parse(text) }))
+  );
+}
+
+// sections() is called whenever the panel is (re)built, so it can follow
+// whatever is live at the time, e.g. after a theme switch. log(message) hears
+// about saved and imported presets.
+export function createTuningPanel({ sections, hotkey = "`", open = false, log = () => {} }) {
+  const presets = readPresets();
+  const presetState = { name: "my preset", preset: Object.keys(presets)[0] || "" };
+  const openFolders = new Set();
+  let folders = [];
+  let gui = null;
+  let container = null;
+
+  function snapshot() {
+    const values = {};
+    sections().forEach((section) => {
+      values[section.name] = {};
+      presetKeys(section).forEach((key) => {
+        values[section.name][key] = section.params[key];
+      });
+    });
+    return values;
+  }
+
+  // Sets whatever the values change for the current sections; keys that no
+  // longer exist or changed type are ignored, so old presets keep loading.
+  // Sections with nothing to change aren't touched, so a preset doesn't
+  // rebuild what it leaves as it is.
+  function apply(values) {
+    sections().forEach((section) => {
+      const stored = values[section.name];
+      if (!stored || typeof stored !== "object") return;
+      const update = {};
+      presetKeys(section).forEach((key) => {
+        if (typeof stored[key] === typeof section.params[key] && stored[key] !== section.params[key]) {
+          update[key] = stored[key];
+        }
+      });
+      if (Object.keys(update).length) {
+        section.setParams(update);
+      }
+    });
+    refresh();
+  }
+
+  const actions = {
+    save() {
+      const name = presetState.name.trim();
+      if (!name) return;
+      presets[name] = snapshot();
+      presetState.preset = name;
+      storePresets(presets);
+      log(`Tuning preset saved: ${name}`);
+      refresh();
+    },
+
+    load() {
+      if (presets[presetState.preset]) {
+        presetState.name = presetState.preset;
+        apply(presets[presetState.preset]);
+      }
+    },
+
+    delete() {
+      delete presets[presetState.preset];
+      presetState.preset = Object.keys(presets)[0] || "";
+      storePresets(presets);
+      refresh();
+    },
+
+    export() {
+      const name = presetState.name.trim() || "preset";
+      downloadJson(`firefly-forest-${name}.json`, { name, values: snapshot() });
+    },
+
+    // Accepts an exported file; the preset takes the name it was exported under
+    import() {
+      pickJsonFile()
+        .then(({ name, data }) => {
+          const values = data && data.values;
+          if (!values || typeof values !== "object") {
+            throw new Error("Not a tuning preset");
+          }
+          const presetName = typeof data.name === "string" ? data.name : name;
+          presets[presetName] = values;
+          storePresets(presets);
+          presetState.name = presetName;
+          presetState.preset = presetName;
+          apply(values);
+          log(`Tuning preset imported: ${presetName}`);
+        })
+        .catch((error) => console.warn("Couldn't import tuning preset:", error));
+    },
+  };
+
+  function addFolder(name) {
+    const folder = gui.addFolder(name);
+    if (openFolders.has(name)) {
+      folder.open();
+    }
+    folders.push({ name, folder });
+    return folder;
+  }
+
+  function addPresetFolder() {
+    const folder = addFolder("presets");
+    folder.add(presetState, "name");
+    const names = Object.keys(presets);
+    if (names.length) {
+      folder.add(presetState, "preset", names);
+    }
+    folder.add(actions, "save");
+    if (names.length) {
+      folder.add(actions, "load");
+      folder.add(actions, "delete");
+    }
+    folder.add(actions, "export");
+    folder.add(actions, "import");
+  }
+
+  // Controllers edit a copy, so each change reaches setParams as a change
+  function addSection(section) {
+    const folder = addFolder(section.name);
+    const values = {};
+    tunableKeys(section).forEach((key) => {
+      values[key] = section.params[key];
+      const value = values[key];
+      const range = section.ranges[key];
+      let controller;
+      if (Array.isArray(range) && typeof range[0] === "string") {
+        controller = folder.add(values, key, range);
+      } else if (typeof value === "number") {
+        controller = folder.add(values, key, ...(range || autoRange(value)));
+      } else {
+        controller = folder.add(values, key);
+      }
+      const set = (next) => section.setParams({ [key]: next });
+      if (section.rebuilds) {
+        controller.onFinishChange(set);
+      } else {
+        controller.onChange(set);
+      }
+    });
+    Object.keys(section.actions || {}).forEach((label) => folder.add(section.actions, label));
+  }
+
+  function build() {
+    container = document.createElement("div");
+    container.className = "tuning-panel";
+    gui = new GUI({ autoPlace: false, hideable: false });
+    container.appendChild(gui.domElement);
+    document.body.appendChild(container);
+
+    addPresetFolder();
+    sections().forEach(addSection);
+  }
+
+  function teardown() {
+    // Remember which folders were open for the next build
+    folders.forEach(({ name, folder }) => {
+      if (folder.closed) {
+        openFolders.delete(name);
+      } else {
+        openFolders.add(name);
+      }
+    });
+    folders = [];
+    gui.destroy();
+    container.remove();
+    gui = null;
+    container = null;
+  }
+
+  // Rebuilds the folders from the current sections and values
+  function refresh() {
+    if (!gui) return;
+    teardown();
+    build();
+  }
+
+  function onKeyDown(event) {
+    if (event.key !== hotkey) return;
+    // Typing a preset name shouldn't close the panel
+    if (event.target.closest && event.target.closest("input, textarea, select")) return;
+    panel.toggle();
+  }
+
+  window.addEventListener("keydown", onKeyDown);
+
+  const panel = {
+    get open() {
+      return gui !== null;
+    },
+
+    // Built on first open rather than up front, so it costs nothing unused
+    toggle() {
+      if (gui) {
+        teardown();
+      } else {
+        build();
+      }
+    },
+
+    refresh,
+    snapshot,
+    apply,
+
+    dispose() {
+      window.removeEventListener("keydown", onKeyDown);
+      if (gui) {
+        teardown();
+      }
+    },
+  };
+
+  if (open) {
+    build();
+  }
+
+  return panel;
+}
@@ -0,0 +1,86 @@
+// Keeps the renderer and camera matched to the window, or to `container` when
+// given (an embedded scene): resizes on window resize and orientation changes,
+// or whenever the container's box changes, and caps the device pixel ratio so
+// high-DPI screens don't render at 3x cost.
+
+export function createViewport({ renderer, camera, container = null, maxPixelRatio = 2 }) {
+  const listeners = [];
+  let cap = maxPixelRatio;
+  let width = 0;
+  let height = 0;
+  let pixelRatio = 1;
+  let pendingFrame = null;
+  let observer = null;
+
+  function resize() {
+    pendingFrame = null;
+    // A container that isn't laid out yet still needs a non-zero canvas
+    width = Math.max(1, container ? container.clientWidth : window.innerWidth);
+    height = Math.max(1, container ? container.clientHeight : window.innerHeight);
+    pixelRatio = Math.min(window.devicePixelRatio || 1, cap);
+
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(width, height);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    listeners.forEach((listener) => listener(width, height, pixelRatio));
+  }
+
+  // Coalesce bursts of events into one resize per frame. Some mobile browsers
+  // report the old size during orientationchange, so it waits a frame anyway.
+  function scheduleResize() {
+    if (pendingFrame === null) {
+      pendingFrame = requestAnimationFrame(resize);
+    }
+  }
+
+  window.addEventListener("resize", scheduleResize);
+  window.addEventListener("orientationchange", scheduleResize);
+  if (container && window.ResizeObserver) {
+    observer = new ResizeObserver(scheduleResize);
+    observer.observe(container);
+  }
+
+  resize();
+
+  return {
+    get width() {
+      return width;
+    },
+
+    get height() {
+      return height;
+    },
+
+    get pixelRatio() {
+      return pixelRatio;
+    },
+
+    // listener(width, height, pixelRatio), called after every resize
+    onResize(listener) {
+      listeners.push(listener);
+      listener(width, height, pixelRatio);
+    },
+
+    setMaxPixelRatio(value) {
+      if (value === cap) return;
+      cap = value;
+      resize();
+    },
+
+    resize,
+
+    dispose() {
+      window.removeEventListener("resize", scheduleResize);
+      window.removeEventListener("orientationchange", scheduleResize);
+      if (observer) {
+        observer.disconnect();
+      }
+      if (pendingFrame !== null) {
+        cancelAnimationFrame(pendingFrame);
+      }
+      listeners.length = 0;
+    },
+  };
+}
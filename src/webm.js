@@ -0,0 +1,146 @@
+// A minimal WebM (Matroska) writer for one video track, enough to wrap the
+// VP8/VP9 chunks WebCodecs encodes into a playable file. Every frame is a
+// SimpleBlock stamped with its own timestamp, and each key frame starts a new
+// cluster.
+
+const TIMECODE_SCALE = 1000000; // nanoseconds per timecode: timestamps in milliseconds
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+};
+
+// Big-endian, as few bytes as the value needs
+function uintBytes(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return Uint8Array.from(bytes);
+}
+
+// Element sizes always take eight bytes: a 0x01 marker and seven of length
+function sizeBytes(size) {
+  const bytes = new Uint8Array(8);
+  bytes[0] = 0x01;
+  for (let i = 7; i > 0; i--) {
+    bytes[i] = size % 256;
+    size = Math.floor(size / 256);
+  }
+  return bytes;
+}
+
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+function element(id, ...children) {
+  const body = concat(children);
+  return concat([uintBytes(id), sizeBytes(body.length), body]);
+}
+
+const uintElement = (id, value) => element(id, uintBytes(value));
+const stringElement = (id, text) => element(id, new TextEncoder().encode(text));
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+// codecId: "V_VP8" or "V_VP9". addChunk takes WebCodecs EncodedVideoChunks in
+// decode order; finish() returns the file as a Blob.
+export function createWebmWriter({ codecId, width, height }) {
+  const frames = [];
+  let duration = 0;
+
+  return {
+    addChunk(chunk) {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      const time = Math.round(chunk.timestamp / 1000);
+      frames.push({ key: chunk.type === "key", time, data });
+      duration = Math.max(duration, time + (chunk.duration || 0) / 1000);
+    },
+
+    finish() {
+      // Block timestamps are 16-bit offsets from their cluster's
+      const clusters = [];
+      let cluster = null;
+      frames.forEach(({ key, time, data }) => {
+        if (!cluster || key || time - cluster.time > 32767) {
+          cluster = { time, blocks: [] };
+          clusters.push(cluster);
+        }
+        const offset = time - cluster.time;
+        const header = Uint8Array.from([0x81, (offset >> 8) & 0xff, offset & 0xff, key ? 0x80 : 0]);
+        cluster.blocks.push(element(ID.SimpleBlock, header, data));
+      });
+
+      const header = element(
+        ID.EBML,
+        uintElement(ID.EBMLVersion, 1),
+        uintElement(ID.EBMLReadVersion, 1),
+        uintElement(ID.EBMLMaxIDLength, 4),
+        uintElement(ID.EBMLMaxSizeLength, 8),
+        stringElement(ID.DocType, "webm"),
+        uintElement(ID.DocTypeVersion, 2),
+        uintElement(ID.DocTypeReadVersion, 2)
+      );
+      const segment = element(
+        ID.Segment,
+        element(
+          ID.Info,
+          uintElement(ID.TimecodeScale, TIMECODE_SCALE),
+          stringElement(ID.MuxingApp, "firefly-forest"),
+          stringElement(ID.WritingApp, "firefly-forest"),
+          floatElement(ID.Duration, duration)
+        ),
+        element(
+          ID.Tracks,
+          element(
+            ID.TrackEntry,
+            uintElement(ID.TrackNumber, 1),
+            uintElement(ID.TrackUID, 1),
+            uintElement(ID.TrackType, 1),
+            stringElement(ID.CodecID, codecId),
+            element(ID.Video, uintElement(ID.PixelWidth, width), uintElement(ID.PixelHeight, height))
+          )
+        ),
+        ...clusters.map(({ time, blocks }) => element(ID.Cluster, uintElement(ID.Timecode, time), ...blocks))
+      );
+      return new Blob([header, segment], { type: "video/webm" });
+    },
+  };
+}
@@ -0,0 +1,167 @@
+import * as THREE from "three";
+
+// Shader-based wind. Vegetation is tagged when it is created (applyWind) and
+// bent in the vertex shader, driven by one set of global uniforms: direction,
+// strength and a drifting gust noise field. Works on instanced and plain
+// meshes alike, and leaves the generators' own rotations untouched.
+
+// How each kind of plant responds. Higher stiffness bends less; flutter is a
+// fast, small shiver on top of the gusts; bendExponent shapes how the bend
+// grows from base to tip (2 for blades that curve, 1 for a rigid sway).
+export const WIND_PROFILES = {
+  grass: { stiffness: 1, flutter: 0.12, bendExponent: 2 },
+  fern: { stiffness: 1.8, flutter: 0.08, bendExponent: 2 },
+  canopy: { stiffness: 4, flutter: 0.03, bendExponent: 1 },
+};
+
+export const DEFAULT_WIND_PARAMS = {
+  direction: 0.6,   // radians in the XZ plane, 0 blows towards +x
+  strength: 0.5,
+  gustStrength: 0.6,
+  gustScale: 0.04,  // size of gust patches (noise frequency per unit)
+  gustSpeed: 4,     // how fast gusts travel across the forest
+};
+
+const windChunk = /* glsl */ `
+uniform float windTime;
+uniform vec2 windDirection;
+uniform float windStrength;
+uniform float windGustStrength;
+uniform float windGustScale;
+uniform float windGustSpeed;
+uniform float windStiffness;
+uniform float windFlutter;
+uniform float windBendExponent;
+uniform float windBaseY;
+uniform float windHeight;
+
+float windHash(vec2 p) {
+  return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+float windNoise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  return mix(
+    mix(windHash(i), windHash(i + vec2(1.0, 0.0)), u.x),
+    mix(windHash(i + vec2(0.0, 1.0)), windHash(i + vec2(1.0, 1.0)), u.x),
+    u.y
+  );
+}
+`;
+
+// Replaces project_vertex: displaces in world space after the instance
+// transform, weighted by the vertex's height within the geometry
+const projectChunk = /* glsl */ `
+vec4 mvPosition = vec4( transformed, 1.0 );
+#ifdef USE_INSTANCING
+  mvPosition = instanceMatrix * mvPosition;
+#endif
+vec4 windWorld = modelMatrix * mvPosition;
+
+float windWeight = pow(clamp((transformed.y - windBaseY) / windHeight, 0.0, 1.0), windBendExponent);
+vec2 gustCoord = windWorld.xz * windGustScale - windDirection * windTime * windGustSpeed * windGustScale;
+float gust = windNoise(gustCoord) * windGustStrength;
+float flutter = sin(windTime * 7.0 + windWorld.x * 1.3 + windWorld.z * 0.7) * windFlutter;
+float bend = (windStrength + gust) / windStiffness;
+
+windWorld.xz += (windDirection * bend + vec2(flutter)) * windWeight;
+// Bent plants get a little shorter
+windWorld.y -= abs(bend) * 0.25 * windWeight;
+
+mvPosition = viewMatrix * windWorld;
+gl_Position = projectionMatrix * mvPosition;
+`;
+
+export function createWind({ params = {} } = {}) {
+  const settings = { ...DEFAULT_WIND_PARAMS, ...params };
+
+  // Shared by every patched material, so one update moves the whole forest
+  const uniforms = {
+    windTime: { value: 0 },
+    windDirection: { value: new THREE.Vector2() },
+    windStrength: { value: 0 },
+    windGustStrength: { value: 0 },
+    windGustScale: { value: 0 },
+    windGustSpeed: { value: 0 },
+  };
+
+  function applyParams() {
+    uniforms.windDirection.value.set(Math.cos(settings.direction), Math.sin(settings.direction));
+    uniforms.windStrength.value = settings.strength;
+    uniforms.windGustStrength.value = settings.gustStrength;
+    uniforms.windGustScale.value = settings.gustScale;
+    uniforms.windGustSpeed.value = settings.gustSpeed;
+  }
+
+  applyParams();
+
+  return {
+    params: settings,
+    uniforms,
+
+    setParams(values) {
+      Object.assign(settings, values);
+      applyParams();
+    },
+
+    update(delta) {
+      uniforms.windTime.value += delta;
+    },
+  };
+}
+
+// Patches a material's vertex shader to sway with the wind. Chains onto any
+// existing onBeforeCompile (e.g. instance opacity) rather than replacing it.
+function patchMaterial(material, wind, profileName, baseY, height) {
+  const profile = WIND_PROFILES[profileName];
+  const previousCompile = material.onBeforeCompile;
+  const previousKey = material.customProgramCacheKey();
+
+  material.onBeforeCompile = (shader, renderer) => {
+    previousCompile.call(material, shader, renderer);
+
+    Object.assign(shader.uniforms, wind.uniforms, {
+      windStiffness: { value: profile.stiffness },
+      windFlutter: { value: profile.flutter },
+      windBendExponent: { value: profile.bendExponent },
+      windBaseY: { value: baseY },
+      windHeight: { value: height },
+    });
+
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", `#include <common>\n${windChunk}`)
+      .replace("#include <project_vertex>", projectChunk);
+  };
+  material.customProgramCacheKey = () => `${previousKey}|wind-${profileName}`;
+  return material;
+}
+
+// Tags a mesh as vegetation and patches its material to sway. The material
+// must not be shared with meshes of a different profile or geometry height.
+// The shadow passes get swaying depth materials of their own, so shadows move
+// with the plants that cast them.
+export function applyWind(mesh, wind, profileName) {
+  if (!WIND_PROFILES[profileName]) {
+    throw new Error(`Unknown wind profile "${profileName}"`);
+  }
+
+  const { geometry, material } = mesh;
+  geometry.computeBoundingBox();
+  const baseY = geometry.boundingBox.min.y;
+  const height = Math.max(geometry.boundingBox.max.y - baseY, 0.001);
+
+  patchMaterial(material, wind, profileName, baseY, height);
+  mesh.customDepthMaterial = patchMaterial(
+    new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }),
+    wind,
+    profileName,
+    baseY,
+    height
+  );
+  mesh.customDistanceMaterial = patchMaterial(new THREE.MeshDistanceMaterial(), wind, profileName, baseY, height);
+
+  mesh.userData.wind = profileName;
+  return mesh;
+}
@@ -1,12 +1,33 @@
 import { defineConfig } from 'vite'
 
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
+  // `vite build --mode lib` bundles <firefly-forest> for embedding elsewhere
+  build: mode === 'lib'
+    ? {
+        outDir: 'dist/embed',
+        lib: {
+          entry: 'src/index.js',
+          name: 'FireflyForest',
+          fileName: 'firefly-forest'
+        }
+      }
+    : {},
   server: {
     hmr: {
       overlay: false
     }
   },
   optimizeDeps: {
-    include: ['three', 'three/examples/jsm/controls/OrbitControls', 'three/examples/jsm/loaders/GLTFLoader']
+    include: [
+      'three',
+      'three/examples/jsm/controls/OrbitControls',
+      'three/examples/jsm/loaders/GLTFLoader',
+      'three/examples/jsm/libs/dat.gui.module',
+      'three/examples/jsm/utils/SkeletonUtils',
+      'three/examples/jsm/postprocessing/EffectComposer',
+      'three/examples/jsm/postprocessing/RenderPass',
+      'three/examples/jsm/postprocessing/ShaderPass',
+      'three/examples/jsm/postprocessing/UnrealBloomPass'
+    ]
   }
-})
\ No newline at end of file
+}))